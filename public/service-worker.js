@@ -1,22 +1,31 @@
-const CACHE_NAME = 'my-life-diary-cache-v5';
+// The build emits precache-manifest.js with the hashed Vite bundles; it is missing in dev.
+try { importScripts('/precache-manifest.js'); } catch (e) { console.warn('No precache manifest, caching the app shell only.'); }
+
+const manifest = self.__PRECACHE_MANIFEST || { revision: 'dev', files: [] };
+const CACHE_NAME = `my-life-diary-cache-v6-${manifest.revision}`;
+const APP_SHELL = '/index.html';
+// Shared with the page (src/notifications.js) and kept across deploys.
+const STATE_CACHE = 'my-life-diary-state';
 const urlsToCache = [
     '/',
-    '/index.html',
-    '/MyLifeDiaryLogo.png'
+    APP_SHELL,
+    '/manifest.json',
+    '/MyLifeDiaryLogo.png',
+    ...manifest.files
 ];
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME).then((cache) => {
             console.log('Opened cache');
-            return cache.addAll(urlsToCache);
+            return cache.addAll([...new Set(urlsToCache)]);
         })
     );
     self.skipWaiting();
 });
 
 self.addEventListener('activate', (event) => {
-    const cacheWhitelist = [CACHE_NAME];
+    const cacheWhitelist = [CACHE_NAME, STATE_CACHE];
     event.waitUntil(
         caches.keys().then((cacheNames) => {
             return Promise.all(
@@ -30,10 +39,167 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+const putInCache = (request, response) => {
+    if (response && response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+    }
+    return response;
+};
+
 self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Firebase and other cross-origin traffic goes straight to the network.
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Navigations: network first so deploys show up, cached app shell when offline.
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then((response) => putInCache(APP_SHELL, response))
+                .catch(() => caches.match(APP_SHELL))
+        );
+        return;
+    }
+
+    // Hashed bundles never change, so they are served cache first and stored on first use.
     event.respondWith(
-        caches.match(event.request).then((response) => {
-            return response || fetch(event.request);
+        caches.match(request).then((response) => {
+            if (response) return response;
+            return fetch(request).then((res) => url.pathname.startsWith('/assets/') ? putInCache(request, res) : res);
+        })
+    );
+});
+
+// --- Notifications ---
+const readState = (key) => caches.open(STATE_CACHE)
+    .then((cache) => cache.match(`/__state/${key}`))
+    .then((response) => response ? response.json() : null);
+const writeState = (key, value) => caches.open(STATE_CACHE)
+    .then((cache) => cache.put(`/__state/${key}`, new Response(JSON.stringify(value))));
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// "On this day": the page keeps the settings and localized texts under `memories` and every date with
+// entries under `memory-days`; only the worker writes `memories-shown`, so the page can't reset it.
+// One notification a day at most, from the chosen hour on, and only when there is something to show.
+const checkMemories = async () => {
+    const state = await readState('memories');
+    if (!state || !state.enabled) return;
+    const now = new Date();
+    const today = dateKey(now);
+    const shown = await readState('memories-shown');
+    if ((shown && shown.lastShown === today) || now.getHours() < state.hour) return;
+    const dayList = ((await readState('memory-days')) || {}).days || [];
+    const days = new Set(dayList);
+    const sameDay = today.slice(4);
+    const years = dayList.filter((day) => day.slice(4) === sameDay && day < today).map((day) => day.slice(0, 4));
+    const monthAgo = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+    const hasMonthAgo = state.monthAgo && monthAgo.getDate() === now.getDate() && days.has(dateKey(monthAgo));
+    if (years.length === 0 && !hasMonthAgo) return;
+    const body = years.length > 0
+        ? state.bodyYears.replace('{years}', new Intl.ListFormat(state.locale, { type: 'conjunction' }).format(years))
+        : state.bodyMonthAgo;
+    await self.registration.showNotification(state.title, {
+        body,
+        tag: 'on-this-day',
+        icon: '/MyLifeDiaryLogo.png',
+        data: { url: '/#on-this-day' }
+    });
+    await writeState('memories-shown', { lastShown: today });
+};
+
+// Reminders: the page keeps the settings, the localized texts and the last day with an entry under
+// `reminders`; which reminders were shown goes under `reminders-shown`, written by the worker alone.
+// A reminder is skipped on days that are not selected, fall in a quiet period or already have an entry.
+const REMINDER_TAG = 'reminder';
+const REMINDER_WINDOW_MS = 60 * 60 * 1000;
+const triggersSupported = typeof TimestampTrigger !== 'undefined';
+const atTime = (day, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+};
+const isReminderDay = (state, day) => {
+    const key = dateKey(day);
+    return state.weekdays.includes(day.getDay())
+        && !state.quietDays.some((range) => key >= range.from && key <= range.to)
+        && state.lastEntryDay !== key;
+};
+const showReminder = (state, options = {}) => self.registration.showNotification(state.title, {
+    body: state.body,
+    icon: '/MyLifeDiaryLogo.png',
+    data: { url: '/?record=1' },
+    ...options
+});
+
+// With Notification Triggers the browser shows each reminder on time even when nothing is running,
+// so the next week is scheduled ahead and rescheduled whenever the settings or today's entries change.
+const scheduleReminders = async () => {
+    if (!triggersSupported) return;
+    // Scheduled notifications are only listed with `includeTriggered`; reminders already on screen
+    // (their trigger time has passed) are left for the user to tap.
+    const now = new Date();
+    const scheduled = await self.registration.getNotifications({ includeTriggered: true });
+    scheduled.filter((notification) => notification.tag.startsWith(REMINDER_TAG) && notification.showTrigger && notification.showTrigger.timestamp > now.getTime())
+        .forEach((notification) => notification.close());
+    const state = await readState('reminders');
+    if (!state || !state.enabled) return;
+    for (let offset = 0; offset < 7; offset++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        if (!isReminderDay(state, day)) continue;
+        for (const time of state.times) {
+            const at = atTime(day, time);
+            if (at > now) await showReminder(state, { tag: `${REMINDER_TAG}-${dateKey(day)}-${time}`, showTrigger: new TimestampTrigger(at.getTime()) });
+        }
+    }
+};
+
+// Without triggers, a reminder is shown when a check runs within an hour after its time.
+const checkReminders = async () => {
+    if (triggersSupported) return;
+    const state = await readState('reminders');
+    if (!state || !state.enabled) return;
+    const now = new Date();
+    const today = dateKey(now);
+    if (!isReminderDay(state, now)) return;
+    const shown = (((await readState('reminders-shown')) || {}).shown || []).filter((key) => key.startsWith(today));
+    const due = state.times.filter((time) => {
+        const late = now - atTime(now, time);
+        return late >= 0 && late < REMINDER_WINDOW_MS && !shown.includes(`${today} ${time}`);
+    });
+    if (due.length === 0) return;
+    await showReminder(state, { tag: `${REMINDER_TAG}-${today}` });
+    await writeState('reminders-shown', { shown: [...shown, ...due.map((time) => `${today} ${time}`)] });
+};
+
+const checkNotifications = () => Promise.all([checkMemories(), checkReminders()])
+    .catch((err) => console.error('Notification check failed:', err));
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'on-this-day') event.waitUntil(checkNotifications());
+    if (event.tag === 'reminders') event.waitUntil(scheduleReminders().then(checkNotifications));
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+    if (event.data.type === 'check-notifications') event.waitUntil(checkNotifications());
+    if (event.data.type === 'schedule-reminders') {
+        event.waitUntil(scheduleReminders().catch((err) => console.error('Reminder scheduling failed:', err)));
+    }
+});
+
+// An open window is focused and told where to go, so nothing typed there is lost; otherwise a new one opens.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const open = windows.find((client) => new URL(client.url).origin === self.location.origin);
+            if (!open) return self.clients.openWindow(url);
+            open.postMessage({ type: 'notification-click', url });
+            return open.focus();
         })
     );
 });
@@ -1,27 +1,31 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
-    getAuth, 
     onAuthStateChanged,
     GoogleAuthProvider,
     signInWithPopup,
     signOut,
     signInAnonymously
 } from 'firebase/auth';
-import { 
-    getFirestore, 
-    collection, 
-    addDoc, 
-    query, 
-    onSnapshot, 
-    doc, 
-    deleteDoc, 
-    updateDoc, 
-    writeBatch,
-    Timestamp,
-    getDocs
-} from 'firebase/firestore';
-import { Mic, Trash2, Edit, Save, X, ChevronDown, ChevronUp, Languages, Search, LogOut, Palette, Download, FileDown } from 'lucide-react';
+import { Timestamp } from 'firebase/firestore';
+import { Mic, MicOff, Hand, Repeat, Play, Volume2, VolumeX, RefreshCw, Trash2, Edit, Save, X, ChevronDown, ChevronUp, Languages, Search, LogOut, Palette, Download, FileDown, FileUp, Printer, Archive, ArchiveRestore, ArrowLeft, History, RotateCcw, Tag, Tags, MapPin, SlidersHorizontal, FilterX, CloudOff, Check, HardDrive, Lock, ShieldCheck, CalendarDays, Flame, ChevronLeft, ChevronRight, Sparkles, Shuffle, Bell, BellOff, AlarmClock, Plus, PenLine } from 'lucide-react';
+import { auth, isPreview } from './firebase.js';
+import { createStorage, getStorageMode, setStorageMode, localOnly, LOCAL_USER } from './storage/index.js';
+import { withEncryption, SECRET_FIELDS } from './storage/encrypted.js';
+import { createEncryptionKey, unlockEncryptionKey } from './crypto.js';
+import { applyDictation } from './dictation.js';
+import { startClipRecorder, audioCaptureSupported } from './audioRecorder.js';
+import { transcribeClip, transcriptionAvailable } from './transcription.js';
+import { parseImportFile, markDuplicates, IMPORT_BATCH_SIZE } from './importer.js';
+import { EXPORT_FORMATS, downloadFile, printHtml, groupByDay } from './exporter.js';
+import { diffWords } from './diff.js';
+import { createSearchIndex, parseQuery, isEmptyQuery, highlightSegments } from './search.js';
+import { UI_LANGUAGES, SPEECH_LANGUAGES, baseLanguage, defaultUiLanguage, supportedUiLanguage, speechLanguageName, createTranslator, formatDate, formatDateTime, formatNumber, monthName, monthYear, hourLabel, weekdayName } from './i18n/index.js';
+import { parseMarkdown } from './markdown.js';
+import { PALETTE_ROLES, THEME_IDS, THEME_PRESETS, getTextColor, shadeColor, normalizeHex, checkPalette, fixPalette, normalizeTheme, themeFromColor, resolvePalette } from './theme.js';
+import { dayKey, weekStartsOn, countByDay, computeStreaks, monthGrid, yearWeeks, heatLevel, computeStats } from './stats.js';
+import { notificationsSupported, enableNotifications, readWorkerState, writeWorkerState, registerPeriodicCheck, unregisterPeriodicCheck, requestNotificationCheck, requestReminderSchedule } from './notifications.js';
+import { extractHashtags, mergeTags, normalizeTag, renameTagInText, countTags, MOODS, moodEmoji } from './tags.js';
+import { enqueueOp, listPendingOps, flushOutbox, subscribeOutbox, applyPendingOps } from './outbox.js';
 
 // --- PWA Setup ---
 const PWASetup = () => {
@@ -36,107 +40,256 @@ const PWASetup = () => {
     return null;
 };
 
-// --- Firebase Configuration ---
-let firebaseConfig, configError = null;
-try {
-    const configString = import.meta.env.VITE_FIREBASE_CONFIG;
-    if (!configString) throw new Error("VITE_FIREBASE_CONFIG not in Vercel.");
-    firebaseConfig = JSON.parse(configString);
-} catch (e) {
-    if (typeof __firebase_config !== 'undefined') {
-        try { firebaseConfig = JSON.parse(__firebase_config); } catch (parseError) { configError = "Could not parse Firebase config (preview)."; }
-    } else { configError = "Could not load Firebase configuration."; }
-}
-if (!firebaseConfig) firebaseConfig = { apiKey: "error", authDomain: "error", projectId: "error" };
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-
-// --- Translation Dictionary ---
-const translations = {
-    en: {
-        signInSubtitle: "Your personal voice-powered journal.",
-        signInButton: "Sign in with Google",
-        installApp: "Install App",
-        download: "Download",
-        deleteAll: "Delete All",
-        signOut: "Sign Out",
-        searchPlaceholder: "Search notes...",
-        today: "Today",
-        noNotesToday: "No entries for today. Hold the mic to start recording your thoughts!",
-        noMatchToday: "No matching notes found for today.",
-        pastEntries: "Past Entries",
-        confirmDeletionTitle: "Confirm Deletion",
-        confirmDeleteAll: "Are you sure you want to delete all your notes? This action cannot be undone.",
-        confirmDeleteYear: (year) => `Are you sure you want to delete all notes from ${year}?`,
-        confirmDeleteMonth: (month, year) => `Are you sure you want to delete all notes from ${month} ${year}?`,
-        cancel: "Cancel",
-        delete: "Delete",
-        noNotesToDownload: "No notes to download.",
-        dbErrorPermission: "Permission Denied: Your Firestore security rules have likely expired. Please update them in the Firebase console to allow access.",
-        dbErrorGeneric: (msg) => `Database error: ${msg}`
-    },
-    fr: {
-        signInSubtitle: "Votre journal personnel à commande vocale.",
-        signInButton: "Se connecter avec Google",
-        installApp: "Installer l'appli",
-        download: "Télécharger",
-        deleteAll: "Tout supprimer",
-        signOut: "Se déconnecter",
-        searchPlaceholder: "Rechercher des notes...",
-        today: "Aujourd'hui",
-        noNotesToday: "Aucune entrée pour aujourd'hui. Maintenez le micro pour enregistrer vos pensées !",
-        noMatchToday: "Aucune note correspondante trouvée pour aujourd'hui.",
-        pastEntries: "Entrées précédentes",
-        confirmDeletionTitle: "Confirmer la suppression",
-        confirmDeleteAll: "Êtes-vous sûr de vouloir supprimer toutes vos notes ? Cette action est irréversible.",
-        confirmDeleteYear: (year) => `Êtes-vous sûr de vouloir supprimer toutes les notes de ${year} ?`,
-        confirmDeleteMonth: (month, year) => `Êtes-vous sûr de vouloir supprimer toutes les notes de ${month} ${year} ?`,
-        cancel: "Annuler",
-        delete: "Supprimer",
-        noNotesToDownload: "Aucune note à télécharger.",
-        dbErrorPermission: "Autorisation refusée : Vos règles de sécurité Firestore ont probablement expiré. Veuillez les mettre à jour dans la console Firebase pour autoriser l'accès.",
-        dbErrorGeneric: (msg) => `Erreur de base de données : ${msg}`
-    }
-};
-
-// --- Color Utility Functions ---
-const getTextColor = (bgColor) => {
-    if (!bgColor) return '#ffffff';
-    const color = (bgColor.charAt(0) === '#') ? bgColor.substring(1, 7) : bgColor;
-    const r = parseInt(color.substring(0, 2), 16), g = parseInt(color.substring(2, 4), 16), b = parseInt(color.substring(4, 6), 16);
-    const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-    return (luma > 128) ? '#000000' : '#ffffff';
-};
-
-const shadeColor = (color, percent) => {
-    let R = parseInt(color.substring(1,3),16), G = parseInt(color.substring(3,5),16), B = parseInt(color.substring(5,7),16);
-    R = parseInt(R * (100 + percent) / 100); G = parseInt(G * (100 + percent) / 100); B = parseInt(B * (100 + percent) / 100);
-    R = (R<255)?R:255; G = (G<255)?G:255; B = (B<255)?B:255;
-    const RR = ((R.toString(16).length==1)?"0"+R.toString(16):R.toString(16));
-    const GG = ((G.toString(16).length==1)?"0"+G.toString(16):G.toString(16));
-    const BB = ((B.toString(16).length==1)?"0"+B.toString(16):B.toString(16));
-    return "#"+RR+GG+BB;
-};
-
 // --- SignIn Component ---
-const SignIn = ({ themeColor, t }) => (
-    <div className="min-h-screen flex flex-col items-center justify-center text-center p-4 transition-colors duration-300" style={{ backgroundColor: themeColor, color: getTextColor(themeColor) }}>
+const SignIn = ({ palette, t, onUseLocally }) => (
+    <div className="min-h-screen flex flex-col items-center justify-center text-center p-4 transition-colors duration-300" style={{ backgroundColor: palette.background, color: palette.text }}>
         <img src="/MyLifeDiaryLogo.png" alt="Logo" className="h-24 w-24 rounded-full mb-6" />
         <h1 className="text-5xl font-bold tracking-tight mb-4">My Life Diary</h1>
         <p className="opacity-80 mb-8 text-lg">{t('signInSubtitle')}</p>
-        <button onClick={() => signInWithPopup(auth, new GoogleAuthProvider()).catch(e => alert(e.message))} className="flex items-center gap-4 bg-white/20 backdrop-blur-sm font-semibold py-3 px-6 rounded-lg shadow-md hover:shadow-lg transition-shadow" style={{ color: getTextColor(themeColor) }}>
+        <button onClick={() => signInWithPopup(auth, new GoogleAuthProvider()).catch(e => alert(e.message))} className="flex items-center gap-4 bg-white/20 backdrop-blur-sm font-semibold py-3 px-6 rounded-lg shadow-md hover:shadow-lg transition-shadow" style={{ color: palette.text }}>
             <svg className="w-6 h-6" viewBox="0 0 48 48"><path fill="#EA4335" d="M24 9.5c3.54 0 6.71 1.22 9.21 3.6l6.85-6.85C35.9 2.38 30.47 0 24 0 14.62 0 6.51 5.38 2.56 13.22l7.98 6.19C12.43 13.72 17.74 9.5 24 9.5z"></path><path fill="#4285F4" d="M46.98 24.55c0-1.57-.15-3.09-.38-4.55H24v9.02h12.94c-.58 2.96-2.26 5.48-4.78 7.18l7.73 6c4.51-4.18 7.09-10.36 7.09-17.65z"></path><path fill="#FBBC05" d="M10.53 28.59c-.48-1.45-.76-2.99-.76-4.59s.27-3.14.76-4.59l-7.98-6.19C.92 16.46 0 20.12 0 24c0 3.88.92 7.54 2.56 10.78l7.97-6.19z"></path><path fill="#34A853" d="M24 48c6.48 0 11.93-2.13 15.89-5.81l-7.73-6c-2.15 1.45-4.92 2.3-8.16 2.3-6.26 0-11.57-4.22-13.47-9.91l-7.98 6.19C6.51 42.62 14.62 48 24 48z"></path><path fill="none" d="M0 0h48v48H0z"></path></svg>
             {t('signInButton')}
         </button>
+        <button onClick={onUseLocally} className="mt-4 flex items-center gap-2 font-semibold py-2 px-4 rounded-lg opacity-80 hover:opacity-100 transition-opacity"><HardDrive size={18}/>{t('useLocally')}</button>
+        <p className="opacity-60 text-sm mt-1 max-w-xs">{t('useLocallyHint')}</p>
     </div>
 );
 
+// --- Unlock Component ---
+// Shown after sign-in when the account is encrypted; the key only lives in memory for this session.
+const UnlockScreen = ({ palette, t, meta, onUnlock, onSignOut, signOutLabel }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const submit = async e => {
+        e.preventDefault();
+        setBusy(true); setError('');
+        try { onUnlock(await unlockEncryptionKey(passphrase, meta)); }
+        catch (err) { setError(err.code === 'wrong-passphrase' ? t('wrongPassphrase') : err.message); setBusy(false); }
+    };
+    return (
+        <div className="min-h-screen flex flex-col items-center justify-center text-center p-4 transition-colors duration-300" style={{ backgroundColor: palette.background, color: palette.text }}>
+            <Lock size={48} className="mb-6 opacity-80" />
+            <h1 className="text-3xl font-bold tracking-tight mb-2">{t('unlockTitle')}</h1>
+            <p className="opacity-80 mb-8 max-w-sm">{t('unlockSubtitle')}</p>
+            <form onSubmit={submit} className="flex flex-col gap-3 w-full max-w-xs">
+                <input type="password" autoFocus autoComplete="current-password" value={passphrase} onChange={e => setPassphrase(e.target.value)} placeholder={t('passphrase')} className="rounded-lg px-4 py-3 bg-white/20 placeholder-current focus:outline-none" />
+                {error && <p className="text-sm text-red-300">{error}</p>}
+                <button type="submit" disabled={busy || !passphrase} className="font-semibold py-3 px-6 rounded-lg bg-white/20 backdrop-blur-sm shadow-md hover:shadow-lg transition-shadow disabled:opacity-50">{busy ? t('unlocking') : t('unlock')}</button>
+            </form>
+            {onSignOut && <button onClick={onSignOut} className="mt-6 flex items-center gap-2 text-sm opacity-70 hover:opacity-100"><LogOut size={16}/>{signOutLabel}</button>}
+        </div>
+    );
+};
+
+// --- Date Ranges ---
+// Ranges are { since, until } in millis, as the storage backends expect them. Months are 0-based.
+const RECENT_DAYS = 31;
+const yearRange = year => ({ since: new Date(year, 0, 1).getTime(), until: new Date(year + 1, 0, 1).getTime() });
+const monthRange = (year, month) => ({ since: new Date(year, month, 1).getTime(), until: new Date(year, month + 1, 1).getTime() });
+// Year and month nodes of the Past Entries tree each load as their own source.
+const nodeSource = node => node.type === 'year' ? [`year:${node.year}`, yearRange(node.year)] : [`month:${node.year}-${node.month}`, monthRange(node.year, node.month)];
+const dayRange = date => ({ since: new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime(), until: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime() });
+// The same date in another year or a month earlier, or null when it doesn't exist (Feb 29, Mar 31...).
+const sameDayIn = (year, date) => { const d = new Date(year, date.getMonth(), date.getDate()); return d.getMonth() === date.getMonth() ? d : null; };
+const monthBefore = (date) => { const d = new Date(date.getFullYear(), date.getMonth() - 1, date.getDate()); return d.getDate() === date.getDate() ? d : null; };
+
+// --- VirtualList Component ---
+// Long lists only render the rows near the viewport. Rows that scroll away are replaced by a spacer of
+// their measured height, so the page keeps its length and the scroll position doesn't jump.
+const VIRTUALIZE_AFTER = 40;
+const VirtualList = ({ items, getKey, getId = () => undefined, renderItem, estimatedHeight = 100, className }) => {
+    const [visible, setVisible] = useState(() => new Set());
+    const heightsRef = useRef({});
+    const observerRef = useRef(null);
+    const refsRef = useRef(new Map());
+    useEffect(() => () => observerRef.current?.disconnect(), []);
+    const getObserver = () => {
+        if (!observerRef.current) observerRef.current = new IntersectionObserver((entries) => {
+            entries.forEach(entry => { if (!entry.isIntersecting) heightsRef.current[entry.target.dataset.key] = entry.target.offsetHeight; });
+            setVisible(prev => {
+                const next = new Set(prev);
+                entries.forEach(entry => entry.isIntersecting ? next.add(entry.target.dataset.key) : next.delete(entry.target.dataset.key));
+                return next;
+            });
+        }, { rootMargin: '1000px 0px' });
+        return observerRef.current;
+    };
+    // One stable ref callback per row, so rows are only observed once and unobserved when they unmount.
+    const refFor = (key) => {
+        if (!refsRef.current.has(key)) {
+            let current = null;
+            refsRef.current.set(key, (node) => {
+                if (current) getObserver().unobserve(current);
+                current = node;
+                if (node) getObserver().observe(node);
+            });
+        }
+        return refsRef.current.get(key);
+    };
+
+    if (items.length <= VIRTUALIZE_AFTER) return <div className={className}>{items.map(item => <div key={getKey(item)} id={getId(item)} className="scroll-mt-28">{renderItem(item)}</div>)}</div>;
+    return (
+        <div className={className}>
+            {items.map(item => {
+                const key = String(getKey(item));
+                return visible.has(key)
+                    ? <div key={key} id={getId(item)} data-key={key} ref={refFor(key)} className="scroll-mt-28">{renderItem(item)}</div>
+                    : <div key={key} id={getId(item)} data-key={key} ref={refFor(key)} className="scroll-mt-28" style={{ height: heightsRef.current[key] ?? estimatedHeight }} />;
+            })}
+        </div>
+    );
+};
+
+// --- AudioClip Component ---
+// Loads the clip only when asked to, so long lists don't fetch every recording up front.
+const formatDuration = ms => { const s = Math.round((ms || 0) / 1000); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`; };
+
+const AudioClip = ({ note, storage, t }) => {
+    const [src, setSrc] = useState(null);
+    const [failed, setFailed] = useState(false);
+    useEffect(() => () => { if (src?.startsWith('blob:')) URL.revokeObjectURL(src); }, [src]);
+    const load = async () => {
+        try { setSrc(note.audioBlob ? URL.createObjectURL(note.audioBlob) : await storage.getAudioUrl(note.audio.path)); }
+        catch (e) { console.error("Audio load error:", e); setFailed(true); }
+    };
+    if (src) return <audio src={src} controls autoPlay className="w-full max-w-sm h-10" />;
+    return (
+        <button onClick={load} disabled={failed} className="flex items-center gap-2 px-3 py-1 rounded-full text-sm bg-white/10 hover:bg-white/20 disabled:opacity-50 transition-colors">
+            <Play size={14}/>{failed ? t('audioUnavailable') : t('playRecording')}{note.audio?.durationMs ? <span className="opacity-60">{formatDuration(note.audio.durationMs)}</span> : null}
+        </button>
+    );
+};
+
+// --- RevisionHistory Component ---
+// Lists every version of a note, newest first, each shown as a word diff against the version before it.
+const RevisionHistory = ({ note, t, langCode, onRevert }) => {
+    const versions = [
+        ...(note.revisions || []),
+        { text: note.text, timestamp: note.editedAt || note.timestamp?.toMillis(), source: note.source || 'voice', current: true }
+    ];
+    return (
+        <ol className="mt-3 space-y-3 border-l-2 pl-3 border-white/20">
+            {versions.map((version, i) => ({ version, i })).reverse().map(({ version, i }) => (
+                <li key={i} className="text-sm">
+                    <div className="flex items-center flex-wrap gap-2 opacity-70 mb-1">
+                        <span className="font-semibold">{version.current ? t('currentVersion') : i === 0 ? t('originalVersion') : ''}</span>
+                        <span>{version.timestamp ? formatDateTime(version.timestamp, langCode) : ''}</span>
+                        <span className="px-2 rounded-full bg-white/10 text-xs">{t(version.source === 'typed' ? 'sourceTyped' : 'sourceVoice')}</span>
+                        {!version.current && <button onClick={() => onRevert(version)} title={t('revertToVersion')} className="flex items-center gap-1 px-2 rounded-full bg-white/10 hover:bg-white/20 text-xs"><RotateCcw size={12}/>{t('revertToVersion')}</button>}
+                    </div>
+                    <p className="whitespace-pre-wrap">
+                        {i === 0 ? version.text : diffWords(versions[i - 1].text, version.text).map((run, k) => (
+                            run.type === 'same' ? <span key={k}>{run.text}</span>
+                            : run.type === 'added' ? <ins key={k} className="no-underline bg-green-500/30 rounded-sm">{run.text}</ins>
+                            : <del key={k} className="bg-red-500/30 rounded-sm opacity-70">{run.text}</del>
+                        ))}
+                    </p>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+// --- Markdown Components ---
+// Notes are drawn from the parsed Markdown subset as React elements. `renderText` decorates the plain
+// text runs, which is how search matches stay highlighted inside bold text, lists and links.
+const MARKDOWN_HEADINGS = { 1: 'text-xl font-bold', 2: 'text-lg font-bold' };
+const renderInline = (nodes, renderText) => nodes.map((node, i) => {
+    if (node.type === 'text') return <React.Fragment key={i}>{renderText(node.text)}</React.Fragment>;
+    const children = renderInline(node.children, renderText);
+    if (node.type === 'strong') return <strong key={i}>{children}</strong>;
+    if (node.type === 'em') return <em key={i}>{children}</em>;
+    return <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="underline underline-offset-2 hover:opacity-80">{children}</a>;
+});
+
+const Markdown = ({ text, renderText = s => s, className = '' }) => {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+    return (
+        <div className={`space-y-2 ${className}`}>
+            {blocks.map((block, i) => {
+                if (block.type === 'heading') return <p key={i} role="heading" aria-level={Math.min(block.level + 3, 6)} className={MARKDOWN_HEADINGS[block.level] || 'font-semibold'}>{renderInline(block.children, renderText)}</p>;
+                if (block.type === 'list') {
+                    const List = block.ordered ? 'ol' : 'ul';
+                    return <List key={i} className={`pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>{block.items.map((item, j) => <li key={j}>{renderInline(item, renderText)}</li>)}</List>;
+                }
+                return <p key={i}>{block.lines.map((line, j) => <React.Fragment key={j}>{j > 0 && <br/>}{renderInline(line, renderText)}</React.Fragment>)}</p>;
+            })}
+        </div>
+    );
+};
+
+// Textarea with a Write / Preview switch. It stays mounted while previewing so the cursor position,
+// where dictation gets inserted, survives. Ctrl/Cmd+Enter submits and Escape cancels.
+const MarkdownEditor = React.forwardRef(({ value, onChange, onSubmit, onCancel, t, accentColor, accentTextColor, placeholder, rows = 3, autoFocus }, ref) => {
+    const [preview, setPreview] = useState(false);
+    const handleKeyDown = e => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); onSubmit(); }
+        else if (e.key === 'Escape' && onCancel) { e.preventDefault(); onCancel(); }
+    };
+    return (
+        <div>
+            <div className="flex gap-1 mb-2 text-xs">{[false, true].map(mode => <button key={String(mode)} type="button" onClick={() => setPreview(mode)} className={`px-2 py-0.5 rounded-full ${preview === mode ? '' : 'opacity-60 hover:opacity-100'}`} style={preview === mode ? { backgroundColor: accentColor, color: accentTextColor } : undefined}>{t(mode ? 'markdownPreview' : 'markdownWrite')}</button>)}</div>
+            <textarea ref={ref} value={value} onChange={onChange} onKeyDown={handleKeyDown} placeholder={placeholder} rows={rows} autoFocus={autoFocus} className={`w-full bg-transparent border-b-2 focus:outline-none resize-y ${preview ? 'hidden' : ''}`} style={{ borderColor: accentColor }} />
+            {preview && (value.trim() ? <Markdown text={value} className="min-h-[3rem]" /> : <p className="italic opacity-60">{t('nothingToPreview')}</p>)}
+        </div>
+    );
+});
+
+// --- NoteDetailsEditor Component ---
+// Inline editor for a note's tags, mood and place. Every change is saved straight away through `onChange`.
+const NoteDetailsEditor = ({ note, t, onChange }) => {
+    const [tagInput, setTagInput] = useState('');
+    const [label, setLabel] = useState(note.location?.label || '');
+    const addTag = () => {
+        const tag = normalizeTag(tagInput);
+        if (tag) onChange({ tags: mergeTags(note.tags || [], [tag]) });
+        setTagInput('');
+    };
+    const useCurrentLocation = () => navigator.geolocation.getCurrentPosition(
+        pos => onChange({ location: { label, lat: pos.coords.latitude, lng: pos.coords.longitude } }),
+        err => alert(err.message),
+        { timeout: 10000 }
+    );
+    const saveLabel = () => { if (label !== (note.location?.label || '')) onChange({ location: (label || note.location?.lat != null) ? { ...note.location, label } : null }); };
+    return (
+        <div className="mt-3 p-3 rounded-lg bg-black/10 space-y-3 text-sm">
+            <div>
+                <p className="font-semibold mb-1">{t('tagsLabel')}</p>
+                <div className="flex flex-wrap items-center gap-2">
+                    {(note.tags || []).map(tag => <span key={tag} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-white/10">#{tag}<button onClick={() => onChange({ tags: note.tags.filter(x => x !== tag) })}><X size={12}/></button></span>)}
+                    <input value={tagInput} onChange={e => setTagInput(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') addTag(); }} onBlur={addTag} placeholder={t('addTagPlaceholder')} className="bg-transparent border-b border-white/30 focus:outline-none flex-grow min-w-[10rem]"/>
+                </div>
+            </div>
+            <div>
+                <p className="font-semibold mb-1">{t('moodLabel')}</p>
+                <div className="flex gap-1">{MOODS.map(mood => <button key={mood.value} onClick={() => onChange({ mood: note.mood === mood.value ? null : mood.value })} title={t('moodNames', mood.value)} className={`text-2xl px-1 rounded-lg transition-opacity ${note.mood === mood.value ? 'bg-white/20' : 'opacity-50 hover:opacity-100'}`}>{mood.emoji}</button>)}</div>
+            </div>
+            <div>
+                <p className="font-semibold mb-1">{t('locationLabel')}</p>
+                <div className="flex flex-wrap items-center gap-2">
+                    <input value={label} onChange={e => setLabel(e.target.value)} onBlur={saveLabel} onKeyDown={e => { if (e.key === 'Enter') saveLabel(); }} placeholder={t('locationPlaceholder')} className="bg-transparent border-b border-white/30 focus:outline-none flex-grow"/>
+                    {'geolocation' in navigator && <button onClick={useCurrentLocation} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-white/10 hover:bg-white/20"><MapPin size={12}/>{t('useCurrentLocation')}</button>}
+                    {note.location && <button onClick={() => { setLabel(''); onChange({ location: null }); }} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-white/10 hover:bg-white/20"><X size={12}/>{t('clearLocation')}</button>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const locationText = location => location.label || `${location.lat.toFixed(3)}, ${location.lng.toFixed(3)}`;
+
 // --- Main App Component ---
 export default function App() {
-    const [notes, setNotes] = useState([]);
+    const [noteSources, setNoteSources] = useState({});
+    const [sourceRanges, setSourceRanges] = useState(() => ({ recent: { since: Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000 }, trash: { trashed: true } }));
+    const [fullHistoryRequested, setFullHistoryRequested] = useState(false);
+    const [yearCounts, setYearCounts] = useState(null);
+    const [monthCounts, setMonthCounts] = useState({});
+    const [pendingOps, setPendingOps] = useState([]);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
     const [user, setUser] = useState(null);
+    const [storageMode, setStorageModeState] = useState(getStorageMode);
     const [authReady, setAuthReady] = useState(false);
     const [isRecording, setIsRecording] = useState(false);
     const [editingNote, setEditingNote] = useState(null);
@@ -144,21 +297,66 @@ export default function App() {
     const [showPastNotes, setShowPastNotes] = useState(false);
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
     const [micError, setMicError] = useState('');
-    const [language, setLanguage] = useState('en-US');
+    const [dictationMode, setDictationMode] = useState(() => localStorage.getItem('life-diary-dictation-mode') || 'hold');
+    const [liveTranscript, setLiveTranscript] = useState({ final: '', interim: '' });
+    const [keepAudio, setKeepAudio] = useState(() => localStorage.getItem('life-diary-keep-audio') !== 'false');
+    const [transcribingId, setTranscribingId] = useState(null);
+    const [importPreview, setImportPreview] = useState(null);
+    const [importProgress, setImportProgress] = useState(null);
+    const [exportDialog, setExportDialog] = useState(null);
+    const [showTrash, setShowTrash] = useState(false);
+    const [showCalendar, setShowCalendar] = useState(false);
+    const [calendarMonth, setCalendarMonth] = useState(() => ({ year: new Date().getFullYear(), month: new Date().getMonth() }));
+    const [heatmapYear, setHeatmapYear] = useState(() => new Date().getFullYear());
+    const [scrollTarget, setScrollTarget] = useState(() => window.location.hash.slice(1) || null);
+    const [includeMonthAgo, setIncludeMonthAgo] = useState(() => localStorage.getItem('life-diary-month-ago') === 'true');
+    const [memoryNotifications, setMemoryNotifications] = useState(() => notificationsSupported && localStorage.getItem('life-diary-memory-notifications') === 'true');
+    const [memoryHour, setMemoryHour] = useState(() => parseInt(localStorage.getItem('life-diary-memory-hour') ?? '9', 10));
+    const [randomMemory, setRandomMemory] = useState(null);
+    const [reminders, setReminders] = useState(() => ({ enabled: false, times: ['20:00'], weekdays: [0, 1, 2, 3, 4, 5, 6], quietDays: [], ...JSON.parse(localStorage.getItem('life-diary-reminders') || '{}') }));
+    const [reminderDialog, setReminderDialog] = useState(null);
+    const [recordPrompt, setRecordPrompt] = useState(() => new URLSearchParams(window.location.search).has('record'));
+    const [editSource, setEditSource] = useState('typed');
+    const [composerOpen, setComposerOpen] = useState(false);
+    const [composerText, setComposerText] = useState('');
+    const [historyNoteId, setHistoryNoteId] = useState(null);
+    const [detailsNoteId, setDetailsNoteId] = useState(null);
+    const [selectedTags, setSelectedTags] = useState([]);
+    const [moodFilter, setMoodFilter] = useState(null);
+    const [showTagManager, setShowTagManager] = useState(false);
+    const [tagRenames, setTagRenames] = useState({});
+    const [searchIndex] = useState(createSearchIndex);
+    const [undoToast, setUndoToast] = useState(null);
+    const [trashRetentionDays, setTrashRetentionDays] = useState(() => parseInt(localStorage.getItem('life-diary-trash-days') ?? '30', 10));
+    const [speechLanguage, setSpeechLanguage] = useState(() => localStorage.getItem('life-diary-language') || navigator.language || 'en-US');
+    const [langCode, setLangCode] = useState(() => localStorage.getItem('life-diary-ui-language') || defaultUiLanguage(localStorage.getItem('life-diary-language')));
     const [searchTerm, setSearchTerm] = useState('');
     const [expandedItems, setExpandedItems] = useState({});
-    const [themeColor, setThemeColor] = useState('#2d3748');
+    const [theme, setTheme] = useState(() => {
+        const saved = localStorage.getItem('life-diary-theme');
+        try { if (saved) return normalizeTheme(JSON.parse(saved)); } catch (e) { console.warn("Ignoring unreadable theme:", e); }
+        return themeFromColor(localStorage.getItem('life-diary-theme-color'));
+    });
+    const [prefersDark, setPrefersDark] = useState(() => window.matchMedia('(prefers-color-scheme: dark)').matches);
+    const [themeDialog, setThemeDialog] = useState(false);
     const [firestoreError, setFirestoreError] = useState(null);
+    const [encryptionMeta, setEncryptionMeta] = useState(undefined);
+    const [encryptionKey, setEncryptionKey] = useState(null);
+    const [encryptionDialog, setEncryptionDialog] = useState(null);
     const [installPromptEvent, setInstallPromptEvent] = useState(null);
-    const colorPickerRef = useRef(null);
+    const subscriptionsRef = useRef(new Map());
+    const importInputRef = useRef(null);
     const recognitionRef = useRef(null);
     const transcriptRef = useRef("");
+    const keepListeningRef = useRef(false);
+    const clipRecorderRef = useRef(null);
+    const composerRef = useRef(null);
+    const composerTypedRef = useRef(false);
+    const composerClipsRef = useRef([]);
+    const searchInputRef = useRef(null);
+    const uploadsRef = useRef(new Map());
     
-    const langCode = language.startsWith('fr') ? 'fr' : 'en';
-    const t = (key, ...args) => {
-        const text = translations[langCode][key];
-        return typeof text === 'function' ? text(...args) : text;
-    };
+    const t = useMemo(() => createTranslator(langCode), [langCode]);
 
     // --- PWA Install Prompt Handling ---
     useEffect(() => {
@@ -171,157 +369,834 @@ export default function App() {
     }, []);
 
     // --- Theme & Language Management ---
+    // Every palette goes through `fixPalette`, so whatever was picked or synced stays readable.
+    const palette = useMemo(() => resolvePalette(theme, prefersDark), [theme, prefersDark]);
     useEffect(() => {
-        const savedColor = localStorage.getItem('life-diary-theme-color') || '#2d3748';
-        const savedLang = localStorage.getItem('life-diary-language') || 'en-US';
-        setThemeColor(savedColor);
-        setLanguage(savedLang);
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        const handleChange = e => setPrefersDark(e.matches);
+        query.addEventListener('change', handleChange);
+        return () => query.removeEventListener('change', handleChange);
     }, []);
-
-    useEffect(() => { localStorage.setItem('life-diary-theme-color', themeColor); }, [themeColor]);
-    useEffect(() => { localStorage.setItem('life-diary-language', language); }, [language]);
+    useEffect(() => {
+        localStorage.setItem('life-diary-theme', JSON.stringify(theme));
+        localStorage.removeItem('life-diary-theme-color');
+    }, [theme]);
+    useEffect(() => {
+        document.querySelector('meta[name="theme-color"]')?.setAttribute('content', palette.background);
+        document.documentElement.style.colorScheme = getTextColor(palette.background) === '#ffffff' ? 'dark' : 'light';
+    }, [palette]);
+    useEffect(() => { localStorage.setItem('life-diary-language', speechLanguage); }, [speechLanguage]);
+    useEffect(() => { localStorage.setItem('life-diary-ui-language', langCode); document.documentElement.lang = langCode; }, [langCode]);
+    useEffect(() => { localStorage.setItem('life-diary-dictation-mode', dictationMode); }, [dictationMode]);
+    useEffect(() => { localStorage.setItem('life-diary-keep-audio', keepAudio); }, [keepAudio]);
+    useEffect(() => { localStorage.setItem('life-diary-trash-days', trashRetentionDays); }, [trashRetentionDays]);
+    useEffect(() => { localStorage.setItem('life-diary-month-ago', includeMonthAgo); }, [includeMonthAgo]);
+    useEffect(() => { localStorage.setItem('life-diary-memory-notifications', memoryNotifications); }, [memoryNotifications]);
+    useEffect(() => { localStorage.setItem('life-diary-memory-hour', memoryHour); }, [memoryHour]);
+    useEffect(() => { localStorage.setItem('life-diary-reminders', JSON.stringify(reminders)); }, [reminders]);
 
     // --- Authentication ---
     useEffect(() => {
-        if (configError) return setAuthReady(true);
-        const isPreview = typeof __firebase_config !== 'undefined';
+        if (storageMode === 'local') { setUser(LOCAL_USER); return setAuthReady(true); }
         const unsub = onAuthStateChanged(auth, u => { (isPreview && !u) ? signInAnonymously(auth) : setUser(u); setAuthReady(true); });
         return () => unsub();
-    }, []);
+    }, [storageMode]);
+
+    const switchStorageMode = mode => { setStorageMode(mode); setUser(null); setStorageModeState(mode); };
 
-    // --- Firestore Data Fetching ---
+    // --- Storage Backend ---
+    const baseStorage = useMemo(() => user ? createStorage(user) : null, [user]);
+
+    // --- Encryption ---
+    // `encryptionMeta` is undefined until the account settings load and null when encryption is off.
+    // While an encrypted account is locked there is no storage at all, so nothing is read or written in plain text.
+    // A missing document read from the cache may only mean it hasn't synced yet, so "off" is trusted only from
+    // the server, or offline when the server said so last time on this device.
     useEffect(() => {
-        if (!user || configError) return setNotes([]);
-        const q = query(collection(db, `users/${user.uid}/notes`));
-        const unsub = onSnapshot(q, (snap) => {
-            setFirestoreError(null);
-            setNotes(snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => (b.timestamp?.toDate() || 0) - (a.timestamp?.toDate() || 0)));
+        setEncryptionMeta(undefined); setEncryptionKey(null);
+        if (!baseStorage) return;
+        const confirmedOffKey = `life-diary-encryption-off-${user.uid}`;
+        return baseStorage.subscribeMeta('encryption', (meta, { fromCache }) => {
+            if (meta) localStorage.removeItem(confirmedOffKey);
+            else if (!fromCache) localStorage.setItem(confirmedOffKey, 'true');
+            else if (localStorage.getItem(confirmedOffKey) !== 'true') return;
+            setEncryptionMeta(meta);
         }, (error) => {
-             if (error.code === 'permission-denied') setFirestoreError(t('dbErrorPermission'));
-             else setFirestoreError(t('dbErrorGeneric', error.message));
-             console.error("Firestore snapshot error:", error);
+            setFirestoreError(error);
+            console.error("Encryption settings error:", error);
         });
-        return () => unsub();
-    }, [user, language]); // Add language dependency to refetch error messages in correct lang
+    }, [baseStorage]);
+    const encryptionStatus = encryptionMeta === undefined ? 'loading' : encryptionMeta ? 'on' : 'off';
+
+    // --- Preferences Profile ---
+    // Theme and languages are kept in the account's `profile` document so they follow the user to other
+    // devices; localStorage still serves them before sign-in and offline. Local mode has nowhere to sync to.
+    const preferencesRef = useRef(null);
+    preferencesRef.current = { theme, language: langCode, speechLanguage };
+    const writeProfile = preferences => baseStorage.setMeta('profile', { ...preferences, updatedAt: Timestamp.now() })
+        .catch(error => console.error("Profile sync error:", error));
+    useEffect(() => {
+        if (!baseStorage || user.isLocal) return;
+        return baseStorage.subscribeMeta('profile', (profile, { fromCache }) => {
+            // A first sign-in on this account adopts whatever this device already uses, but only once the
+            // server has confirmed there is no profile: a cache miss offline would overwrite the real one.
+            if (!profile) {
+                if (!fromCache) writeProfile(preferencesRef.current);
+                return;
+            }
+            if (profile.theme) setTheme(normalizeTheme(profile.theme));
+            if (supportedUiLanguage(profile.language)) setLangCode(supportedUiLanguage(profile.language));
+            if (typeof profile.speechLanguage === 'string' && profile.speechLanguage) setSpeechLanguage(profile.speechLanguage);
+        }, error => console.error("Profile error:", error));
+    }, [baseStorage]);
+
+    const savePreferences = (patch) => {
+        if (patch.theme) setTheme(patch.theme);
+        if (patch.language) setLangCode(patch.language);
+        if (patch.speechLanguage) setSpeechLanguage(patch.speechLanguage);
+        if (baseStorage && !user.isLocal) writeProfile({ ...preferencesRef.current, ...patch });
+    };
+    const storage = useMemo(() => {
+        if (!baseStorage || encryptionStatus === 'loading') return null;
+        if (encryptionStatus === 'off') return baseStorage;
+        return encryptionKey ? withEncryption(baseStorage, encryptionKey) : null;
+    }, [baseStorage, encryptionStatus, encryptionKey]);
+
+    // --- Data Fetching ---
+    // Only recent notes and the trash are watched from the start. Older notes are watched a month or a year
+    // at a time when the tree needs them. Features that work across the whole diary (search, filters,
+    // the calendar, export, import, tag renames) read every note once instead of keeping a listener on
+    // the whole collection; this device's own writes are folded into that copy as they are applied.
+    const watchNotes = (key, range = {}) => setSourceRanges(ranges => ranges[key] ? ranges : { ...ranges, [key]: range });
+    const loadFullHistory = () => setFullHistoryRequested(true);
+    useEffect(() => {
+        if (!storage || !fullHistoryRequested) return;
+        let cancelled = false;
+        storage.fetchAll().then((loaded) => {
+            if (!cancelled) setNoteSources(sources => ({ ...sources, all: loaded }));
+        }).catch((error) => {
+            setFirestoreError(error);
+            console.error("Full history load error:", error);
+        });
+        return () => { cancelled = true; };
+    }, [storage, fullHistoryRequested]);
+    const patchFullHistory = patch => setNoteSources(sources => sources.all ? { ...sources, all: patch(sources.all) } : sources);
+    useEffect(() => {
+        if (!storage) return;
+        Object.entries(sourceRanges).forEach(([key, range]) => {
+            if (subscriptionsRef.current.has(key)) return;
+            subscriptionsRef.current.set(key, storage.subscribe((loaded) => {
+                setFirestoreError(null);
+                setNoteSources(sources => ({ ...sources, [key]: loaded }));
+            }, (error) => {
+                 setFirestoreError(error);
+                 console.error("Storage subscription error:", error);
+            }, range));
+        });
+    }, [storage, sourceRanges]);
+    useEffect(() => () => {
+        subscriptionsRef.current.forEach(unsub => unsub());
+        subscriptionsRef.current = new Map();
+        setNoteSources({}); setYearCounts(null); setMonthCounts({});
+    }, [storage]);
+    // Live sources come last so they win over the one-off full history.
+    const remoteNotes = useMemo(() => {
+        const byId = new Map();
+        const { all = [], ...live } = noteSources;
+        [all, ...Object.values(live)].forEach(list => list.forEach(n => byId.set(n.id, n)));
+        return [...byId.values()];
+    }, [noteSources]);
+    const fullHistoryLoaded = !!noteSources.all;
+    const isNodeLoaded = node => fullHistoryLoaded || !!noteSources[nodeSource(node)[0]] || (node.type === 'month' && !!noteSources[`year:${node.year}`]);
+
+    // --- Past Entries Counts ---
+    // Counts come from aggregate queries and stop at the start of today, which has its own section.
+    // They include trashed notes (Firestore can't filter on `deletedAt` alongside the timestamp range),
+    // so the tree subtracts the trash, which is always loaded. Counting needs a connection,
+    // so when it fails the tree falls back to building itself from every note cached on this device.
+    const pastRange = range => ({ since: range.since, until: Math.min(range.until, new Date().setHours(0, 0, 0, 0)) });
+    const loadYearCounts = async () => {
+        if (!storage) return;
+        try {
+            const oldest = await storage.oldestTimestamp();
+            if (oldest == null) return setYearCounts({});
+            const years = [];
+            for (let y = new Date().getFullYear(); y >= new Date(oldest).getFullYear(); y--) years.push(y);
+            const counts = await Promise.all(years.map(y => storage.countNotes(pastRange(yearRange(y)))));
+            setYearCounts(Object.fromEntries(years.map((y, i) => [y, counts[i]])));
+        } catch (error) {
+            console.warn("Could not count notes, loading them all instead:", error);
+            loadFullHistory();
+        }
+    };
+    const loadMonthCounts = async (year) => {
+        try {
+            const months = [...Array(12).keys()].filter(m => monthRange(year, m).since < Date.now());
+            const counts = await Promise.all(months.map(m => storage.countNotes(pastRange(monthRange(year, m)))));
+            setMonthCounts(c => ({ ...c, [year]: Object.fromEntries(months.map((m, i) => [m, counts[i]])) }));
+        } catch (error) {
+            console.warn("Could not count notes, loading them all instead:", error);
+            loadFullHistory();
+        }
+    };
+    useEffect(() => { loadYearCounts(); }, [storage]);
+
+    // --- Offline Outbox Sync ---
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true), goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => { window.removeEventListener('online', goOnline); window.removeEventListener('offline', goOffline); };
+    }, []);
+
+    useEffect(() => {
+        if (!user) return setPendingOps([]);
+        const refresh = () => listPendingOps(user.uid).then(setPendingOps).catch(err => console.error("Outbox read error:", err));
+        refresh();
+        return subscribeOutbox(uid => { if (uid === user.uid) refresh(); });
+    }, [user]);
+
+    useEffect(() => { if (isOnline) syncOutbox(); }, [storage, isOnline]);
+
+    // --- Trash ---
+    useEffect(() => {
+        if (!undoToast) return;
+        const timer = setTimeout(() => setUndoToast(null), 6000);
+        return () => clearTimeout(timer);
+    }, [undoToast]);
+
+    useEffect(() => {
+        if (!storage || !trashRetentionDays) return;
+        const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+        purgeNotes(trashedNotes.filter(n => n.deletedAt < cutoff));
+    }, [remoteNotes, trashRetentionDays]);
     
     // --- Speech Recognition Setup ---
+    // Every final result is folded into the transcript (with voice commands applied); interim text is only shown live.
+    // In continuous mode the browser ends recognition after a pause, so it is restarted until the user taps stop.
+    // The audio clip is cut at the same moments as the transcript, so each note gets exactly its own recording.
     useEffect(() => {
         const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-        if (!SR) return setMicError("Speech recognition not supported.");
+        if (!SR) return setMicError('unsupported');
+        setMicError('');
         const r = new SR();
-        r.continuous = false; r.interimResults = false; r.lang = language;
-        r.onresult = e => { transcriptRef.current = e.results[0][0].transcript; };
-        r.onerror = e => { setMicError(`Speech error: ${e.error}`); setIsRecording(false); };
-        r.onend = () => { setIsRecording(false); if (transcriptRef.current.trim()) addNote(transcriptRef.current); };
+        r.continuous = dictationMode === 'continuous'; r.interimResults = true; r.lang = speechLanguage;
+        const commitTranscript = (endOfSession) => {
+            const text = transcriptRef.current, recorder = clipRecorderRef.current;
+            transcriptRef.current = "";
+            if (endOfSession) clipRecorderRef.current = null;
+            const clip = recorder ? recorder.then(rec => rec && (endOfSession ? rec.stop() : rec.cut())).catch(() => null) : Promise.resolve(null);
+            if (composerRef.current) {
+                const composed = insertIntoComposer(text);
+                clip.then(c => { if (c) composerClipsRef.current.push(c); if (!endOfSession) saveComposer(composed); });
+                return;
+            }
+            clip.then(c => { if (text.trim()) addNote(text, c); });
+        };
+        r.onresult = e => {
+            let interim = '';
+            for (let i = e.resultIndex; i < e.results.length; i++) {
+                const chunk = e.results[i][0].transcript;
+                if (!e.results[i].isFinal) { interim += chunk; continue; }
+                const { text, save } = applyDictation(transcriptRef.current, chunk, baseLanguage(speechLanguage));
+                transcriptRef.current = text;
+                if (save) commitTranscript(false);
+            }
+            setLiveTranscript({ final: transcriptRef.current, interim });
+        };
+        r.onerror = e => {
+            if (e.error === 'no-speech' || e.error === 'aborted') return;
+            keepListeningRef.current = false;
+            setMicError(e.error); setIsRecording(false);
+        };
+        r.onend = () => {
+            if (keepListeningRef.current) { try { return r.start(); } catch (err) { keepListeningRef.current = false; } }
+            setIsRecording(false); setLiveTranscript({ final: '', interim: '' });
+            commitTranscript(true);
+        };
         recognitionRef.current = r;
-    }, [user, language]);
+        return () => {
+            keepListeningRef.current = false; r.onend = null; r.abort();
+            clipRecorderRef.current?.then(rec => rec?.stop()); clipRecorderRef.current = null;
+        };
+    }, [user, storage, speechLanguage, dictationMode]);
 
     // --- Search Expansion Effect ---
     useEffect(() => {
-        if (searchTerm.trim() === '') return setExpandedItems({});
-        const matches = notes.filter(n => n.text.toLowerCase().includes(searchTerm.toLowerCase()) && n.timestamp?.toDate().toDateString() !== new Date().toDateString());
+        if (searchTerm.trim() === '' && selectedTags.length === 0 && !moodFilter) return setExpandedItems({});
+        const matches = notes.filter(n => matchesFilters(n) && n.timestamp?.toDate().toDateString() !== new Date().toDateString());
         if (matches.length > 0) setShowPastNotes(true);
         const newExpanded = {};
-        matches.forEach(n => { const d = n.timestamp.toDate(); newExpanded[d.getFullYear()] = true; newExpanded[`${d.getFullYear()}-${d.toLocaleString(langCode, { month: 'long' })}`] = true; });
+        matches.forEach(n => { const d = n.timestamp.toDate(); newExpanded[d.getFullYear()] = true; newExpanded[`${d.getFullYear()}-${d.getMonth()}`] = true; });
         setExpandedItems(newExpanded);
-    }, [searchTerm]);
+    }, [searchTerm, selectedTags, moodFilter, fullHistoryLoaded]);
+
+    // Features that work across the whole diary load it first; a single year or month loads on its own.
+    const needsFullHistory = showCalendar || searchTerm.trim() !== '' || selectedTags.length > 0 || !!moodFilter || showTagManager || !!importPreview || !!encryptionDialog
+        || (!!exportDialog && exportDialog.scope !== 'node') || showDeleteConfirm?.type === 'all';
+    useEffect(() => { if (needsFullHistory) loadFullHistory(); }, [needsFullHistory]);
+    useEffect(() => {
+        const node = exportDialog?.scope === 'node' ? exportDialog.node : showDeleteConfirm;
+        if (node?.type === 'year' || node?.type === 'month') watchNotes(...nodeSource(node));
+    }, [exportDialog, showDeleteConfirm]);
 
     // --- Note Management ---
-    const addNote = async text => { if (user && text.trim()) await addDoc(collection(db, `users/${user.uid}/notes`), { text: text.trim(), timestamp: Timestamp.now() }); };
-    const deleteNote = async id => { if (user) await deleteDoc(doc(db, `users/${user.uid}/notes/${id}`)); };
+    // Writes go through the outbox: queued locally first, then replayed against the storage backend in order.
+    // A clip deleted while its note was still queued is never uploaded. `deleteAudio` queues `audio: null`
+    // before it looks for an upload in progress, and a create checks the queue only after registering its
+    // upload, so one of the two always sees the other. Resolves to the uploaded path, if any.
+    const sendCreate = async (op) => {
+        const cleared = op.audio && (await listPendingOps(user.uid)).some(o => o.type === 'update' && o.noteId === op.noteId && o.data.audio === null);
+        const path = op.audio && !cleared ? await storage.uploadAudio(op.noteId, op.audio) : null;
+        await storage.add(op.noteId, path ? { ...op.data, audio: { ...op.data.audio, path } } : cleared ? { ...op.data, audio: null } : op.data);
+        return path;
+    };
+    const hydrateNoteData = data => data.timestamp === undefined ? data : { ...data, timestamp: Timestamp.fromMillis(data.timestamp) };
+    const applyOp = async op => {
+        try {
+            if (op.type === 'create') {
+                const sending = sendCreate(op);
+                uploadsRef.current.set(op.noteId, sending);
+                await sending.catch((error) => { uploadsRef.current.delete(op.noteId); throw error; });
+            }
+            if (op.type === 'update') await storage.update(op.noteId, op.data);
+            if (op.type === 'updateMany') await storage.updateMany(op.noteIds, op.data);
+            if (op.type === 'updateEach') await storage.updateEach(op.updates.map(({ noteId, data }) => ({ id: noteId, data })));
+            if (op.type === 'delete') await storage.remove(op.noteId);
+            if (op.type === 'deleteMany') await storage.removeMany(op.noteIds);
+            if (op.type === 'removeAudio') await Promise.all(op.paths.map(storage.removeAudio));
+            patchFullHistory(all => applyPendingOps(all, [op], hydrateNoteData).map(({ pending, audioBlob, ...note }) => note));
+        } catch (error) {
+            // An edit to a note deleted elsewhere can never succeed; drop it rather than block the queue.
+            if (error.code === 'not-found') return console.warn("Dropping outbox op for missing note:", op);
+            throw error;
+        }
+    };
+    const syncOutbox = () => {
+        if (!storage || (storage.requiresNetwork && !navigator.onLine)) return;
+        flushOutbox(user.uid, applyOp).catch(error => {
+            if (error.code === 'permission-denied') setFirestoreError(error);
+            console.error("Outbox sync error:", error);
+        });
+    };
+    const queueOp = async op => { await enqueueOp(user.uid, op); syncOutbox(); };
+    const addNote = async (text, clip = null, source = 'voice') => {
+        if (!user || !text.trim()) return;
+        const noteId = storage.newId();
+        const data = { text: text.trim(), timestamp: Date.now(), source };
+        const tags = extractHashtags(data.text);
+        if (tags.length > 0) data.tags = tags;
+        if (!clip) return queueOp({ type: 'create', noteId, data });
+        data.audio = { mimeType: clip.mimeType, size: clip.size, durationMs: clip.durationMs };
+        await queueOp({ type: 'create', noteId, data, audio: clip.blob });
+    };
+    const audioPathsOf = list => list.map(n => n.audio?.path).filter(Boolean);
+    // Deleting only stamps `deletedAt`. Notes stay in the trash, audio included, until restored, emptied or purged.
+    const trashNotes = async list => {
+        if (!user || list.length === 0) return;
+        const noteIds = list.map(n => n.id);
+        await queueOp({ type: 'updateMany', noteIds, data: { deletedAt: Date.now() } });
+        setUndoToast({ noteIds, message: t('movedToTrash', noteIds.length) });
+    };
+    const restoreNotes = async noteIds => { if (user && noteIds.length > 0) await queueOp({ type: 'updateMany', noteIds, data: { deletedAt: null } }); };
+    const purgeNotes = async list => {
+        if (!user || list.length === 0) return;
+        await queueOp({ type: 'deleteMany', noteIds: list.map(n => n.id) });
+        const paths = audioPathsOf(list);
+        if (paths.length) await queueOp({ type: 'removeAudio', paths });
+    };
+    const deleteNote = id => trashNotes(notes.filter(n => n.id === id));
+    const handleUndo = () => { restoreNotes(undoToast.noteIds); setUndoToast(null); };
+    const deleteAudio = async note => {
+        if (!user) return;
+        const paths = audioPathsOf([note]);
+        if (paths.length) await queueOp({ type: 'removeAudio', paths });
+        await queueOp({ type: 'update', noteId: note.id, data: { audio: null } });
+        // A clip that is being uploaded right now is waited for, then removed like any other.
+        const uploaded = await uploadsRef.current.get(note.id)?.catch(() => null);
+        if (uploaded && !paths.includes(uploaded)) await queueOp({ type: 'removeAudio', paths: [uploaded] });
+    };
+    // The transcript goes into the editor rather than straight over the note, so it can be checked first.
+    const retranscribe = async note => {
+        setTranscribingId(note.id);
+        try {
+            const text = await transcribeClip(note.audioBlob || await storage.getAudioBlob(note.audio.path), speechLanguage);
+            setEditingNote(note); setEditText(text || note.text); setEditSource('voice');
+        } catch (e) { alert(e.message); }
+        finally { setTranscribingId(null); }
+    };
+    // Tree nodes are { type: 'year', year } or { type: 'month', year, month }, as shown in Past Entries.
+    const matchesTreeNode = (n, node) => {
+        const d = n.timestamp?.toDate(); if(!d) return false;
+        if (node.type === 'year') return d.getFullYear() === node.year;
+        if (node.type === 'month') return d.getFullYear() === node.year && d.getMonth() === node.month;
+        return false;
+    };
     const handleDeleteSelection = s => setShowDeleteConfirm(s);
     const handleConfirmDelete = async () => {
         if (!user || !showDeleteConfirm) return;
-        const toDelete = showDeleteConfirm.type === 'all' ? notes : notes.filter(n => {
-            const d = n.timestamp?.toDate(); if(!d) return false;
-            if (showDeleteConfirm.type === 'year') return d.getFullYear() === showDeleteConfirm.year;
-            if (showDeleteConfirm.type === 'month') return d.getFullYear() === showDeleteConfirm.year && d.toLocaleString(langCode, { month: 'long' }) === showDeleteConfirm.month;
-            return false;
-        });
+        if (showDeleteConfirm.type === 'trash') { await purgeNotes(trashedNotes); return setShowDeleteConfirm(null); }
+        const toDelete = showDeleteConfirm.type === 'all' ? notes : notes.filter(n => matchesTreeNode(n, showDeleteConfirm));
         if(toDelete.length === 0) return setShowDeleteConfirm(null);
-        const batch = writeBatch(db);
-        toDelete.forEach(n => batch.delete(doc(db, `users/${user.uid}/notes/${n.id}`)));
-        await batch.commit();
+        await trashNotes(toDelete);
         setShowDeleteConfirm(null);
     };
-    const startEditing = n => { setEditingNote(n); setEditText(n.text); };
+    const startEditing = n => { setEditingNote(n); setEditText(n.text); setEditSource('typed'); };
+    // Each change keeps the text it replaces as a revision, stamped with when and how that text was produced.
+    // The text being replaced is kept in `revisions`, whether the user edited it or a tag rename rewrote it.
+    const revisedText = (note, text) => {
+        const previous = { text: note.text, timestamp: note.editedAt || note.timestamp?.toMillis() || Date.now(), source: note.source || 'voice' };
+        return { text, editedAt: Date.now(), revisions: [...(note.revisions || []), previous] };
+    };
+    const reviseNote = async (note, text, source) => {
+        if (!user || text === note.text) return;
+        const tags = mergeTags(note.tags || [], extractHashtags(text));
+        await queueOp({ type: 'update', noteId: note.id, data: { ...revisedText(note, text), source, tags } });
+    };
+    const updateDetails = (note, data) => { if (user) queueOp({ type: 'update', noteId: note.id, data }); };
+    // Renaming onto an existing tag merges them; hashtags in the text are rewritten so later edits don't bring the old name back.
+    const renameTag = async (from, rawTo) => {
+        const to = normalizeTag(rawTo);
+        // Every tagged note has to be loaded, or the rename would only reach some of them.
+        if (!user || !fullHistoryLoaded || !to || to === from) return;
+        const updates = notes.filter(n => n.tags?.includes(from)).map((n) => {
+            const text = renameTagInText(n.text, from, to);
+            return { noteId: n.id, data: { tags: mergeTags(n.tags.map(tag => tag === from ? to : tag)), ...(text !== n.text && revisedText(n, text)) } };
+        });
+        if (updates.length > 0) await queueOp({ type: 'updateEach', updates });
+        setSelectedTags(tags => tags.map(tag => tag === from ? to : tag));
+        setTagRenames(r => ({ ...r, [from]: undefined }));
+    };
+    const toggleTagFilter = tag => setSelectedTags(tags => tags.includes(tag) ? tags.filter(x => x !== tag) : [...tags, tag]);
     const saveEdit = async () => {
-        if(user && editingNote) await updateDoc(doc(db, `users/${user.uid}/notes/${editingNote.id}`), { text: editText });
+        if(editingNote) await reviseNote(editingNote, editText, editSource);
         setEditingNote(null); setEditText("");
     };
+    const revertNote = (note, revision) => reviseNote(note, revision.text, revision.source);
 
-    // --- CSV Download ---
-    const handleDownloadAll = () => {
-        if (notes.length === 0) return alert(t('noNotesToDownload'));
-        const sortedNotes = [...notes].sort((a, b) => (a.timestamp?.toDate() || 0) - (b.timestamp?.toDate() || 0));
-        const headers = ["Date", "Time", "Note"];
-        const csvRows = [headers.join(',')];
-        const escapeCsvCell = (cell) => {
-            if (cell.includes(',') || cell.includes('"') || cell.includes('\n')) return `"${cell.replace(/"/g, '""')}"`;
-            return cell;
-        };
-        sortedNotes.forEach(note => {
-            const date = note.timestamp?.toDate();
-            const dateString = date ? date.toLocaleDateString(langCode) : 'N/A';
-            const timeString = date ? date.toLocaleTimeString(langCode) : 'N/A';
-            const noteText = escapeCsvCell(note.text);
-            csvRows.push([dateString, timeString, noteText].join(','));
-        });
-        const csvString = csvRows.join('\n');
-        const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', 'MyLifeDiary_Export.csv');
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    // --- Encryption Setup ---
+    // Existing notes are rewritten in batches with only their private fields, which the wrapper encrypts.
+    const encryptNotes = async (target, list) => {
+        setEncryptionDialog(d => ({ ...d, progress: { done: 0, total: list.length } }));
+        try {
+            for (let i = 0; i < list.length; i += IMPORT_BATCH_SIZE) {
+                const chunk = list.slice(i, i + IMPORT_BATCH_SIZE);
+                await target.updateEach(chunk.map(n => ({ id: n.id, data: Object.fromEntries(SECRET_FIELDS.filter(f => n[f] != null).map(f => [f, n[f]])) })));
+                const done = new Set(chunk.map(n => n.id));
+                patchFullHistory(all => all.map(n => done.has(n.id) ? { ...n, needsEncryption: false } : n));
+                setEncryptionDialog(d => ({ ...d, progress: { done: i + chunk.length, total: list.length } }));
+            }
+            setEncryptionDialog(d => ({ ...d, progress: { ...d.progress, finished: true } }));
+        } catch (err) {
+            console.error("Encryption migration error:", err);
+            setEncryptionDialog(d => ({ ...d, progress: { ...d.progress, error: err.message } }));
+        }
+    };
+    // The key is set before the settings are saved, so this device never sees the account as locked.
+    const enableEncryption = async () => {
+        const { passphrase, confirm } = encryptionDialog;
+        if (passphrase.length < 8) return setEncryptionDialog(d => ({ ...d, error: t('passphraseTooShort') }));
+        if (passphrase !== confirm) return setEncryptionDialog(d => ({ ...d, error: t('passphraseMismatch') }));
+        setEncryptionDialog(d => ({ ...d, error: '', busy: true }));
+        try {
+            const plainNotes = remoteNotes;
+            const { key, meta } = await createEncryptionKey(passphrase);
+            setEncryptionKey(key);
+            await baseStorage.setMeta('encryption', meta);
+            setEncryptionDialog(d => ({ ...d, passphrase: '', confirm: '', busy: false }));
+            await encryptNotes(withEncryption(baseStorage, key), plainNotes);
+        } catch (err) {
+            console.error("Enable encryption error:", err);
+            setEncryptionKey(null);
+            setEncryptionDialog(d => ({ ...d, busy: false, error: t('encryptionFailed', err.message) }));
+        }
+    };
+    const lockDiary = () => { setEncryptionKey(null); setEncryptionDialog(null); setEditingNote(null); };
+
+    // --- Export ---
+    const openExport = (scope = 'all', node = null) => setExportDialog({ format: 'json', scope, node, from: '', to: '' });
+    const exportSelection = () => {
+        if (!exportDialog) return [];
+        const { scope, node, from, to } = exportDialog;
+        const [fy, fm, fd] = from.split('-').map(Number), [ty, tm, td] = to.split('-').map(Number);
+        const start = from ? new Date(fy, fm - 1, fd) : null, end = to ? new Date(ty, tm - 1, td + 1) : null;
+        const source = scope === 'search' ? filteredNotes : notes;
+        return source.filter(n => {
+            const d = n.timestamp?.toDate(); if (!d) return false;
+            if (scope === 'range') return (!start || d >= start) && (!end || d < end);
+            if (scope === 'node') return matchesTreeNode(n, node);
+            return true;
+        }).sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis());
     };
+    const handleExport = (print = false) => {
+        const selection = exportSelection();
+        if (selection.length === 0) return alert(t('noNotesToDownload'));
+        const format = print ? EXPORT_FORMATS.html : EXPORT_FORMATS[exportDialog.format];
+        const content = format.build(selection, langCode, t('exportBookTitle'));
+        if (print) { if (!printHtml(content)) alert(t('popupBlocked')); return; }
+        const fileName = exportDialog.format === 'csv' ? 'MyLifeDiary_Export.csv' : `MyLifeDiary_${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+        downloadFile(content, fileName, format.type);
+        setExportDialog(null);
+    };
+
+    // --- Import ---
+    const handleImportFile = async e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { format, entries, skipped } = await parseImportFile(file, langCode);
+            const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+            setImportPreview({ fileName: file.name, format, entries: sorted, skipped: skipped.reduce((sum, s) => sum + (s.count || 1), 0), skipDuplicates: true, checked: false });
+            setImportProgress(null);
+        } catch (err) { alert(t('importFailed', err.message)); }
+    };
+    // Written straight to the backend in batches rather than through the outbox, so progress reflects what is saved.
+    // Imported text was written elsewhere, so it counts as typed unless a backup says otherwise.
+    const runImport = async () => {
+        const toCreate = importPreview.entries.filter(e => !(importPreview.skipDuplicates && e.duplicate));
+        setImportProgress({ done: 0, total: toCreate.length });
+        try {
+            for (let i = 0; i < toCreate.length; i += IMPORT_BATCH_SIZE) {
+                const chunk = toCreate.slice(i, i + IMPORT_BATCH_SIZE);
+                const items = chunk.map(e => ({ id: storage.newId(), data: { source: 'typed', ...e.extra, text: e.text, timestamp: e.timestamp, tags: mergeTags(e.extra.tags || [], extractHashtags(e.text)) } }));
+                await storage.addMany(items);
+                patchFullHistory(all => [...all, ...items.map(({ id, data }) => ({ id, ...hydrateNoteData(data) }))]);
+                setImportProgress({ done: i + chunk.length, total: toCreate.length });
+            }
+            setImportProgress(p => ({ ...p, finished: true }));
+            setMonthCounts({}); loadYearCounts();
+        } catch (err) {
+            console.error("Import error:", err);
+            setImportProgress(p => ({ ...p, error: err.message }));
+        }
+    };
+    // Duplicates can only be told apart once every existing note is loaded.
+    useEffect(() => {
+        if (importPreview && !importPreview.checked && fullHistoryLoaded) setImportPreview(p => ({ ...p, entries: markDuplicates(p.entries, notes, p.format), checked: true }));
+    }, [importPreview, fullHistoryLoaded]);
+    const closeImport = () => { if (!importProgress || importProgress.finished || importProgress.error) { setImportPreview(null); setImportProgress(null); } };
 
     // --- UI Handlers ---
     const handleInstallClick = () => { if (installPromptEvent) installPromptEvent.prompt().then(() => setInstallPromptEvent(null)); };
-    const handleRecordStart = () => { if (micError || !recognitionRef.current) return; transcriptRef.current = ""; setIsRecording(true); recognitionRef.current.start(); };
-    const handleRecordStop = () => { if (micError || !recognitionRef.current || !isRecording) return; recognitionRef.current.stop(); };
+    const handleRecordStart = () => {
+        if (micError || !recognitionRef.current || isRecording) return;
+        transcriptRef.current = ""; keepListeningRef.current = dictationMode === 'continuous'; setIsRecording(true); setRecordPrompt(false); recognitionRef.current.start();
+        if (keepAudio && audioCaptureSupported) clipRecorderRef.current = startClipRecorder().catch(err => { console.warn("Audio capture unavailable:", err); return null; });
+    };
+    const handleRecordStop = () => { if (micError || !recognitionRef.current || !isRecording) return; keepListeningRef.current = false; recognitionRef.current.stop(); };
+    const handleRecordToggle = () => isRecording ? handleRecordStop() : handleRecordStart();
+    const toggleDictationMode = () => { if (!isRecording) setDictationMode(m => m === 'continuous' ? 'hold' : 'continuous'); };
+    // --- Composer ---
+    // While the composer is open, dictation is inserted at its cursor instead of being saved straight away.
+    const openComposer = () => { setComposerOpen(true); requestAnimationFrame(() => composerRef.current?.focus()); };
+    const closeComposer = () => { setComposerOpen(false); setComposerText(''); composerTypedRef.current = false; composerClipsRef.current = []; };
+    const insertIntoComposer = (dictated) => {
+        const el = composerRef.current, text = dictated.trim();
+        if (!el || !text) return el?.value ?? '';
+        const start = el.selectionStart ?? el.value.length, before = el.value.slice(0, start), after = el.value.slice(el.selectionEnd ?? start);
+        const inserted = (before && !/\s$/.test(before) ? ' ' : '') + text + (after && !/^\s/.test(after) ? ' ' : '');
+        const next = before + inserted + after;
+        setComposerText(next);
+        requestAnimationFrame(() => { el.focus(); el.setSelectionRange(start + inserted.length, start + inserted.length); });
+        return next;
+    };
+    // A note has one recording, so a clip is only kept when the note came from a single dictation.
+    const saveComposer = async (text = composerText) => {
+        if (!text.trim()) return;
+        const clips = composerClipsRef.current, source = composerTypedRef.current ? 'typed' : 'voice';
+        closeComposer();
+        await addNote(text, clips.length === 1 ? clips[0] : null, source);
+    };
+    const focusSearch = () => { setShowTrash(false); setShowCalendar(false); requestAnimationFrame(() => searchInputRef.current?.focus()); };
+
+    // --- Keyboard Shortcuts ---
+    // N opens the composer and / or Ctrl/Cmd+K focuses search, unless the user is typing in a field.
+    // Saving and cancelling (Ctrl/Cmd+Enter, Escape) are handled by the editors themselves.
+    useEffect(() => {
+        if (!storage) return;
+        const handleKeyDown = (e) => {
+            const modifier = e.ctrlKey || e.metaKey;
+            if (modifier && !e.altKey && e.key.toLowerCase() === 'k') { e.preventDefault(); return focusSearch(); }
+            if (modifier || e.altKey || e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            if (e.key.toLowerCase() === 'n') { e.preventDefault(); openComposer(); }
+            else if (e.key === '/') { e.preventDefault(); focusSearch(); }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [storage]);
+
     const toggleExpand = key => setExpandedItems(prev => ({ ...prev, [key]: !prev[key] }));
+    // --- Calendar ---
+    // Jumping to a day opens its year and month in Past Entries and scrolls there once it has rendered.
+    const jumpToDay = (date) => {
+        setShowCalendar(false);
+        if (date.toDateString() === new Date().toDateString()) return setScrollTarget('today');
+        const year = date.getFullYear(), month = date.getMonth();
+        watchNotes(...nodeSource({ type: 'month', year, month }));
+        if (!treeFromNotes && !monthCounts[year]) loadMonthCounts(year);
+        setShowPastNotes(true);
+        setExpandedItems(prev => ({ ...prev, [year]: true, [`${year}-${month}`]: true }));
+        setScrollTarget(`day-${dayKey(date)}`);
+    };
+    useEffect(() => {
+        const target = scrollTarget && document.getElementById(scrollTarget);
+        if (!target) return;
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        setScrollTarget(null);
+        if (window.location.hash) history.replaceState(null, '', window.location.pathname + window.location.search);
+    });
+    const shiftCalendarMonth = delta => setCalendarMonth(({ year, month }) => ({ year: new Date(year, month + delta, 1).getFullYear(), month: new Date(year, month + delta, 1).getMonth() }));
+    const toggleCalendar = () => { setShowTrash(false); setShowCalendar(!showCalendar); };
+
+    // --- On This Day ---
+    // The same date in every earlier year with notes (and a month ago, if asked) loads as its own small source.
+    useEffect(() => {
+        if (!yearCounts) return;
+        const today = new Date();
+        const dates = Object.keys(yearCounts).map(Number).filter(year => year < today.getFullYear() && yearCounts[year] > 0).map(year => sameDayIn(year, today));
+        if (includeMonthAgo) dates.push(monthBefore(today));
+        dates.filter(Boolean).forEach(date => watchNotes(`day:${dayKey(date)}`, dayRange(date)));
+    }, [yearCounts, includeMonthAgo]);
+    // A random memory can come from any day, so the whole diary is loaded first.
+    const showRandomMemory = (previous = null) => { loadFullHistory(); setRandomMemory({ pending: true, previous }); };
+    const toggleMemoryNotifications = async () => {
+        if (memoryNotifications) return setMemoryNotifications(false);
+        if (!(await enableNotifications())) return alert(t('notificationsBlocked'));
+        loadFullHistory();
+        await registerPeriodicCheck('on-this-day', 12 * 60 * 60 * 1000);
+        setMemoryNotifications(true);
+    };
+    // Tapping a notification while the app is open scrolls to what it was about.
+    useEffect(() => {
+        if (!('serviceWorker' in navigator)) return;
+        const onMessage = (event) => {
+            if (event.data?.type !== 'notification-click') return;
+            const url = new URL(event.data.url);
+            setShowTrash(false); setShowCalendar(false);
+            setScrollTarget(url.hash.slice(1) || null);
+            if (url.searchParams.has('record')) { setRecordPrompt(true); window.scrollTo({ top: 0, behavior: 'smooth' }); }
+        };
+        navigator.serviceWorker.addEventListener('message', onMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', onMessage);
+    }, []);
+
+    // --- Reminders ---
+    const toggleReminders = async () => {
+        if (!reminders.enabled && !(await enableNotifications())) return alert(t('notificationsBlocked'));
+        setReminders(r => ({ ...r, enabled: !r.enabled }));
+    };
+    // Order and duplicates are only settled when a field loses focus, so the one being edited stays put.
+    const updateReminderTime = (index, time) => setReminders(r => ({ ...r, times: r.times.map((x, i) => i === index ? time : x) }));
+    const tidyReminderTimes = () => setReminders(r => ({ ...r, times: [...new Set(r.times)].sort() }));
+    const toggleReminderWeekday = day => setReminders(r => ({ ...r, weekdays: r.weekdays.includes(day) ? r.weekdays.filter(d => d !== day) : [...r.weekdays, day] }));
+    const addQuietDays = () => {
+        const { from, to } = reminderDialog;
+        if (!from) return;
+        setReminders(r => ({ ...r, quietDays: [...r.quietDays, { from, to: to && to >= from ? to : from }] }));
+        setReminderDialog({ from: '', to: '' });
+    };
+
+    const togglePastNotes = () => {
+        if (!showPastNotes) { setMonthCounts({}); loadYearCounts(); }
+        setShowPastNotes(!showPastNotes);
+    };
+    const toggleYear = (year) => {
+        if (!expandedItems[year] && !treeFromNotes && !monthCounts[year]) loadMonthCounts(year);
+        toggleExpand(year);
+    };
+    const toggleMonth = (year, month) => {
+        if (!expandedItems[`${year}-${month}`]) watchNotes(...nodeSource({ type: 'month', year, month }));
+        toggleExpand(`${year}-${month}`);
+    };
     
+    // --- Theme Editor ---
+    // Editing any colour turns the current palette into a custom one. Changes apply live and are only
+    // written to the profile when the dialog closes, so dragging a colour picker doesn't flood Firestore.
+    const updateCustomColor = (role, value) => {
+        setThemeDialog(d => ({ ...d, drafts: { ...d.drafts, [role]: value } }));
+        const color = normalizeHex(value);
+        if (!color) return;
+        setTheme(current => ({ preset: 'custom', custom: { ...(current.preset === 'custom' ? current.custom : palette), [role]: color } }));
+    };
+    const applyPaletteCorrections = () => {
+        setTheme(current => current.preset === 'custom' ? { ...current, custom: fixPalette(current.custom) } : current);
+        setThemeDialog(d => ({ ...d, drafts: {} }));
+    };
+    const closeThemeDialog = () => { setThemeDialog(null); savePreferences({}); };
+
     // --- UI Data Processing ---
-    const textColor = getTextColor(themeColor);
-    const subtleBgColor = shadeColor(themeColor, textColor === '#ffffff' ? 20 : -10);
-    const accentColor = shadeColor(themeColor, textColor === '#ffffff' ? 40 : -20);
-    const micColor = getTextColor(accentColor);
+    const { notes, trashedNotes } = useMemo(() => {
+        const allNotes = applyPendingOps(remoteNotes, pendingOps, hydrateNoteData).sort((a, b) => (b.timestamp?.toDate() || 0) - (a.timestamp?.toDate() || 0));
+        return { notes: allNotes.filter(n => !n.deletedAt), trashedNotes: allNotes.filter(n => n.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt) };
+    }, [remoteNotes, pendingOps]);
+    const { background: themeColor, surface: subtleBgColor, text: textColor, accent: accentColor, accentText: accentTextColor } = palette;
+    const isDarkTheme = getTextColor(themeColor) === '#ffffff';
     
-    const filteredNotes = notes.filter(n => n.text.toLowerCase().includes(searchTerm.toLowerCase()));
-    const todayNotes = filteredNotes.filter(n => n.timestamp?.toDate().toDateString() === new Date().toDateString());
-    const pastNotesRaw = filteredNotes.filter(n => n.timestamp?.toDate().toDateString() !== new Date().toDateString());
-    const structuredPastNotes = pastNotesRaw.reduce((acc, note) => {
-        const d=note.timestamp?.toDate();if(!d)return acc;const y=d.getFullYear(),m=d.toLocaleString(langCode,{month:'long'}),day=d.getDate();
-        if(!acc[y])acc[y]={};if(!acc[y][m])acc[y][m]={};if(!acc[y][m][day])acc[y][m][day]=[];acc[y][m][day].push(note);return acc;
-    }, {});
+    const parsedQuery = useMemo(() => parseQuery(searchTerm), [searchTerm]);
+    const searchMatchIds = useMemo(() => {
+        if (isEmptyQuery(parsedQuery)) return null;
+        searchIndex.sync(notes);
+        return new Set(searchIndex.search(notes, parsedQuery).map(n => n.id));
+    }, [notes, parsedQuery]);
+    const matchesFilters = n => (!searchMatchIds || searchMatchIds.has(n.id)) && selectedTags.every(tag => n.tags?.includes(tag)) && (!moodFilter || n.mood === moodFilter);
+    const filteredNotes = useMemo(() => notes.filter(matchesFilters), [notes, searchMatchIds, selectedTags, moodFilter]);
+    const tagCounts = useMemo(() => countTags(notes), [notes]);
+    const hasFilters = selectedTags.length > 0 || !!moodFilter;
+    const todayKey = new Date().toDateString();
+    const dayCounts = useMemo(() => showCalendar ? countByDay(notes) : new Map(), [notes, showCalendar]);
+    const streaks = useMemo(() => computeStreaks(dayCounts), [dayCounts]);
+    const stats = useMemo(() => showCalendar ? computeStats(notes) : null, [notes, showCalendar]);
+    const todayNotes = filteredNotes.filter(n => n.timestamp?.toDate().toDateString() === todayKey);
+    // The tree is [{ year, count, months: [{ month, count, days: [{ date, notes }] or null while loading }] or null }].
+    // With filters, or once everything is loaded, it is built from the notes; otherwise from the counts.
+    const treeFromNotes = fullHistoryLoaded || needsFullHistory;
+    const pastTree = useMemo(() => {
+        const grouped = groupByDay(filteredNotes.filter(n => n.timestamp && n.timestamp.toDate().toDateString() !== todayKey));
+        const sum = days => days.reduce((total, day) => total + day.notes.length, 0);
+        const loaded = grouped.map(y => ({ year: y.year, months: y.months.map(m => ({ month: m.month, count: sum(m.days), days: m.days })) }))
+            .map(y => ({ ...y, count: y.months.reduce((total, m) => total + m.count, 0) }));
+        if (treeFromNotes) return loaded;
+        const untrashed = (count, range) => {
+            const { since, until } = pastRange(range);
+            return count - trashedNotes.filter(n => n.timestamp && n.timestamp.toMillis() >= since && n.timestamp.toMillis() < until).length;
+        };
+        return Object.keys(yearCounts || {}).map(Number).sort((a, b) => b - a).map((year) => {
+            const counts = monthCounts[year];
+            const months = counts && Object.keys(counts).map(Number).sort((a, b) => b - a).map((month) => {
+                if (!isNodeLoaded({ type: 'month', year, month })) return { month, count: untrashed(counts[month], monthRange(year, month)), days: null };
+                return loaded.find(y => y.year === year)?.months.find(m => m.month === month) || { month, count: 0, days: [] };
+            }).filter(m => m.count > 0);
+            return { year, count: untrashed(yearCounts[year], yearRange(year)), months };
+        }).filter(y => y.count > 0);
+    }, [filteredNotes, todayKey, treeFromNotes, yearCounts, monthCounts, noteSources, trashedNotes]);
+
+    const memories = useMemo(() => {
+        const today = new Date(), monthAgo = includeMonthAgo && monthBefore(today);
+        const earlier = notes.filter(n => {
+            const d = n.timestamp?.toDate();
+            return d && d.getFullYear() < today.getFullYear() && d.getMonth() === today.getMonth() && d.getDate() === today.getDate();
+        });
+        return {
+            years: groupByDay(earlier).map(y => ({ year: y.year, notes: y.months.flatMap(m => m.days.flatMap(day => day.notes)) })),
+            monthAgo: monthAgo ? notes.filter(n => n.timestamp?.toDate().toDateString() === monthAgo.toDateString()) : []
+        };
+    }, [notes, includeMonthAgo, todayKey]);
+    useEffect(() => {
+        if (!randomMemory?.pending || !fullHistoryLoaded) return;
+        const pool = notes.filter(n => n.timestamp && n.timestamp.toDate().toDateString() !== todayKey && n.id !== randomMemory.previous);
+        setRandomMemory(pool.length > 0 ? { id: pool[Math.floor(Math.random() * pool.length)].id } : null);
+    }, [randomMemory, fullHistoryLoaded]);
+    const randomNote = randomMemory?.id && notes.find(n => n.id === randomMemory.id);
+
+    // The page writes the settings and the list of dates with entries; the worker alone records what it
+    // has shown, under its own key, so these writes can't race it into repeating a notification.
+    useEffect(() => {
+        if (!notificationsSupported) return;
+        if (!memoryNotifications) unregisterPeriodicCheck('on-this-day');
+        writeWorkerState('memories', {
+            enabled: memoryNotifications, hour: memoryHour, monthAgo: includeMonthAgo,
+            locale: langCode, title: t('onThisDay'), bodyYears: t('memoryNotificationYears'), bodyMonthAgo: t('memoryNotificationMonthAgo')
+        }).then(() => memoryNotifications && requestNotificationCheck())
+            .catch(err => console.error("Could not schedule memory notifications:", err));
+    }, [memoryNotifications, memoryHour, includeMonthAgo, langCode]);
+    // Without the full history loaded, known dates are kept and the loaded ones added, so a normal session
+    // doesn't shrink the list. Most note changes leave the dates as they were, and then nothing is written.
+    useEffect(() => {
+        if (!notificationsSupported || !memoryNotifications) return;
+        const loadedDays = notes.filter(n => n.timestamp).map(n => dayKey(n.timestamp.toDate()));
+        readWorkerState('memory-days').then(async (previous) => {
+            const days = [...new Set(fullHistoryLoaded ? loadedDays : [...(previous?.days || []), ...loadedDays])].sort();
+            if (previous && days.join() === previous.days.join()) return;
+            await writeWorkerState('memory-days', { days });
+            await requestNotificationCheck();
+        }).catch(err => console.error("Could not update memory notification days:", err));
+    }, [memoryNotifications, notes, fullHistoryLoaded]);
+
+    // The worker only needs to know whether today already has an entry to skip the rest of today's reminders.
+    const hasEntryToday = notes.some(n => n.timestamp?.toDate().toDateString() === todayKey);
+    useEffect(() => {
+        if (!notificationsSupported) return;
+        // What the fallback check has shown is kept by the worker under its own key, so it isn't touched here.
+        writeWorkerState('reminders', { ...reminders, lastEntryDay: hasEntryToday ? dayKey(new Date()) : null, title: t('reminderTitle'), body: t('reminderBody') })
+            .then(() => {
+                if (reminders.enabled) registerPeriodicCheck('reminders', 12 * 60 * 60 * 1000);
+                else unregisterPeriodicCheck('reminders');
+                return requestReminderSchedule();
+            })
+            .catch(err => console.error("Could not schedule reminders:", err));
+    }, [reminders, hasEntryToday, langCode]);
+    useEffect(() => {
+        if (!memoryNotifications && !reminders.enabled) return;
+        const timer = setInterval(requestNotificationCheck, 15 * 60 * 1000);
+        requestNotificationCheck();
+        return () => clearInterval(timer);
+    }, [memoryNotifications, reminders.enabled]);
+    useEffect(() => {
+        if (recordPrompt && window.location.search) history.replaceState(null, '', window.location.pathname + window.location.hash);
+    }, [recordPrompt]);
 
     // --- Render Logic ---
-    if (configError) return <div className="min-h-screen flex items-center justify-center p-4"><div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg max-w-lg">{configError}</div></div>;
-    if (!authReady) return <div className="min-h-screen flex items-center justify-center" style={{ backgroundColor: themeColor }}>Loading...</div>;
-    if (!user) return <SignIn themeColor={themeColor} t={t} />;
+    // Errors are kept as they came and translated here, so switching language updates the message.
+    const dbErrorText = firestoreError && (firestoreError.code === 'permission-denied' ? t('dbErrorPermission') : t('dbErrorGeneric', firestoreError.message));
+    if (!authReady) return <div className="min-h-screen flex items-center justify-center" style={{ backgroundColor: palette.background, color: palette.text }}>{t('loading')}</div>;
+    if (!user) return <SignIn palette={palette} t={t} onUseLocally={() => switchStorageMode('local')} />;
+    if (encryptionStatus === 'loading') return <div className="min-h-screen flex flex-col items-center justify-center gap-2 p-4 text-center" style={{ backgroundColor: palette.background, color: palette.text }}>{t('loading')}{firestoreError && <p className="text-red-400 max-w-md">{dbErrorText}</p>}</div>;
+    if (!storage) return <UnlockScreen palette={palette} t={t} meta={encryptionMeta} onUnlock={setEncryptionKey} onSignOut={user.isLocal ? (!localOnly && (() => switchStorageMode('firestore'))) : () => signOut(auth)} signOutLabel={t(user.isLocal ? 'leaveLocalMode' : 'signOut')} />;
+    const unencryptedNotes = encryptionStatus === 'on' ? remoteNotes.filter(n => n.needsEncryption) : [];
 
+    const deleteReady = !showDeleteConfirm || showDeleteConfirm.type === 'trash' || (showDeleteConfirm.type === 'all' ? fullHistoryLoaded : isNodeLoaded(showDeleteConfirm));
     let confirmText = t('confirmDeleteAll');
     if(showDeleteConfirm) { 
         if(showDeleteConfirm.type === 'year') confirmText = t('confirmDeleteYear', showDeleteConfirm.year);
-        if(showDeleteConfirm.type === 'month') confirmText = t('confirmDeleteMonth', showDeleteConfirm.month, showDeleteConfirm.year);
+        if(showDeleteConfirm.type === 'month') confirmText = t('confirmDeleteMonth', showDeleteConfirm.year, showDeleteConfirm.month);
+        if(showDeleteConfirm.type === 'trash') confirmText = t('confirmEmptyTrash', trashedNotes.length);
     }
 
+    const highlightText = text => highlightSegments(text, parsedQuery).map((segment, i) => segment.match ? <mark key={i} className="rounded-sm px-0.5" style={{backgroundColor: accentColor, color: accentTextColor}}>{segment.text}</mark> : segment.text);
     const renderNote = (note) => (
         <div key={note.id} className="p-4 rounded-lg flex justify-between items-start gap-4 break-words shadow-sm" style={{ backgroundColor: subtleBgColor, color: textColor }}>
             <div className="flex-grow">
-                {editingNote?.id===note.id ? <textarea value={editText} onChange={e=>setEditText(e.target.value)} className="w-full bg-transparent border-b-2 focus:outline-none" style={{ borderColor: accentColor }} /> : <p>{note.text}</p>}
-                <p className="text-sm mt-2 opacity-60">{note.timestamp?.toDate().toLocaleString(langCode) || 'Just now'}</p>
+                {editingNote?.id===note.id ? <MarkdownEditor value={editText} onChange={e=>setEditText(e.target.value)} onSubmit={saveEdit} onCancel={()=>setEditingNote(null)} rows={Math.min(12, editText.split('\n').length + 2)} autoFocus t={t} accentColor={accentColor} accentTextColor={accentTextColor} /> : note.decryptError ? <p className="italic opacity-60 flex items-center gap-2"><Lock size={14}/>{t('cannotDecrypt')}</p> : <Markdown text={note.text} renderText={highlightText} />}
+                {(note.tags?.length > 0 || note.mood || note.location) && <div className="flex items-center flex-wrap gap-2 mt-2 text-sm">
+                    {note.mood && <span title={t('moodNames', note.mood)} className="text-lg leading-none">{moodEmoji(note.mood)}</span>}
+                    {(note.tags || []).map(tag => <button key={tag} onClick={()=>toggleTagFilter(tag)} className={`px-2 py-0.5 rounded-full transition-colors ${selectedTags.includes(tag) ? '' : 'bg-white/10 hover:bg-white/20'}`} style={selectedTags.includes(tag) ? {backgroundColor: accentColor, color: accentTextColor} : undefined}>#{tag}</button>)}
+                    {note.location && (note.location.lat != null
+                        ? <a href={`https://www.openstreetmap.org/?mlat=${note.location.lat}&mlon=${note.location.lng}#map=15/${note.location.lat}/${note.location.lng}`} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 opacity-70 hover:opacity-100"><MapPin size={14}/>{locationText(note.location)}</a>
+                        : <span className="flex items-center gap-1 opacity-70"><MapPin size={14}/>{locationText(note.location)}</span>)}
+                </div>}
+                {(note.audio || note.audioBlob) && <div className="flex items-center flex-wrap gap-2 mt-2">
+                    <AudioClip key={note.audio?.path || note.id} note={note} storage={storage} t={t} />
+                    {transcriptionAvailable && <button onClick={()=>retranscribe(note)} disabled={transcribingId===note.id} title={t(transcribingId===note.id ? 'transcribing' : 'retranscribe')} className="p-1 opacity-60 hover:opacity-100 disabled:animate-spin"><RefreshCw size={16}/></button>}
+                    <button onClick={()=>deleteAudio(note)} title={t('deleteAudio')} className="p-1 opacity-60 hover:opacity-100"><VolumeX size={16}/></button>
+                </div>}
+                <div className="flex items-center gap-3 text-sm mt-2">
+                    <p className="opacity-60">{note.timestamp ? formatDateTime(note.timestamp.toDate(), langCode) : t('justNow')}</p>
+                    {note.revisions?.length > 0 && <button onClick={()=>setHistoryNoteId(historyNoteId === note.id ? null : note.id)} title={t('editHistory')} className="flex items-center gap-1 text-xs opacity-60 hover:opacity-100"><History size={12}/>{note.revisions.length}</button>}
+                    {!user.isLocal && (note.pending ? <span className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-yellow-500/20" title={t('pendingSync')}><CloudOff size={12}/>{t('pendingSync')}</span> : <span className="flex items-center gap-1 text-xs opacity-50" title={t('synced')}><Check size={12}/>{t('synced')}</span>)}
+                </div>
+                {detailsNoteId === note.id && <NoteDetailsEditor note={note} t={t} onChange={data => updateDetails(note, data)} />}
+                {historyNoteId === note.id && note.revisions?.length > 0 && <RevisionHistory note={note} t={t} langCode={langCode} onRevert={revision => revertNote(note, revision)} />}
             </div>
             <div className="flex items-center space-x-2 flex-shrink-0">
-                {editingNote?.id===note.id ? (<><button onClick={saveEdit}><Save size={20}/></button><button onClick={()=>setEditingNote(null)}><X size={20}/></button></>) : (<><button onClick={()=>startEditing(note)}><Edit size={20}/></button><button onClick={()=>deleteNote(note.id)}><Trash2 size={20}/></button></>)}
+                {editingNote?.id===note.id ? (<><button onClick={saveEdit} title={t('saveShortcut')}><Save size={20}/></button><button onClick={()=>setEditingNote(null)}><X size={20}/></button></>) : (<><button onClick={()=>setDetailsNoteId(detailsNoteId === note.id ? null : note.id)} title={t('editDetails')}><Tag size={20}/></button><button onClick={()=>startEditing(note)}><Edit size={20}/></button><button onClick={()=>deleteNote(note.id)}><Trash2 size={20}/></button></>)}
             </div>
         </div>
     );
     
+    const renderTrashedNote = (note) => (
+        <div key={note.id} className="p-4 rounded-lg flex justify-between items-start gap-4 break-words shadow-sm" style={{ backgroundColor: subtleBgColor, color: textColor }}>
+            <div className="flex-grow opacity-80">
+                <Markdown text={note.text} />
+                <p className="text-sm mt-2 opacity-60">{note.timestamp && formatDateTime(note.timestamp.toDate(), langCode)} · {t('deletedOn', note.deletedAt)}</p>
+            </div>
+            <div className="flex items-center space-x-2 flex-shrink-0">
+                <button onClick={()=>restoreNotes([note.id])} title={t('restore')}><ArchiveRestore size={20}/></button>
+                <button onClick={()=>purgeNotes([note])} title={t('deleteForever')}><Trash2 size={20}/></button>
+            </div>
+        </div>
+    );
+
     return (
         <div className="min-h-screen font-sans flex flex-col transition-colors duration-300" style={{ backgroundColor: themeColor, color: textColor }}>
             <PWASetup />
@@ -329,43 +1204,213 @@ export default function App() {
                 <div className="flex items-center gap-3"><img src="/MyLifeDiaryLogo.png" alt="Logo" className="h-10 w-10 rounded-full" /><h1 className="text-3xl font-bold tracking-tight">My Life Diary</h1></div>
                 <div className="flex items-center gap-2 sm:gap-4 flex-wrap">
                     {installPromptEvent && <button onClick={handleInstallClick} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><Download size={16}/><span className="hidden sm:inline">{t('installApp')}</span></button>}
-                    <button onClick={() => colorPickerRef.current.click()} className="p-2 rounded-lg" style={{ backgroundColor: subtleBgColor }}><Palette size={20} /></button>
-                    <input type="color" ref={colorPickerRef} value={themeColor} onChange={e => setThemeColor(e.target.value)} className="w-0 h-0 opacity-0 absolute"/>
-                    <div className="relative"><Languages size={16} className="absolute left-3 top-1/2 -translate-y-1/2 opacity-50" /><select value={language} onChange={e=>setLanguage(e.target.value)} className="rounded-lg pl-9 pr-4 py-2 appearance-none focus:outline-none text-sm" style={{backgroundColor: subtleBgColor, color: textColor}}><option value="en-US">English</option><option value="fr-FR">Français</option></select></div>
-                    {notes.length > 0 && <button onClick={handleDownloadAll} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><FileDown size={16}/><span className="hidden sm:inline">{t('download')}</span></button>}
+                    <button onClick={() => setThemeDialog({ drafts: {} })} title={t('theme')} className="p-2 rounded-lg" style={{ backgroundColor: subtleBgColor }}><Palette size={20} /></button>
+                    <div className="relative"><Languages size={16} className="absolute left-3 top-1/2 -translate-y-1/2 opacity-50" /><select value={langCode} onChange={e=>savePreferences({ language: e.target.value })} title={t('interfaceLanguage')} className="rounded-lg pl-9 pr-4 py-2 appearance-none focus:outline-none text-sm" style={{backgroundColor: subtleBgColor, color: textColor}}>{UI_LANGUAGES.map(({ code, name }) => <option key={code} value={code}>{name}</option>)}</select></div>
+                    <div className="relative"><Mic size={16} className="absolute left-3 top-1/2 -translate-y-1/2 opacity-50" /><select value={speechLanguage} onChange={e=>savePreferences({ speechLanguage: e.target.value })} disabled={isRecording} title={t('dictationLanguage')} className="rounded-lg pl-9 pr-4 py-2 appearance-none focus:outline-none text-sm max-w-[11rem] disabled:opacity-40" style={{backgroundColor: subtleBgColor, color: textColor}}>{(SPEECH_LANGUAGES.includes(speechLanguage) ? SPEECH_LANGUAGES : [speechLanguage, ...SPEECH_LANGUAGES]).map(tag => <option key={tag} value={tag}>{speechLanguageName(tag, langCode)}</option>)}</select></div>
+                    <button onClick={() => importInputRef.current.click()} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><FileUp size={16}/><span className="hidden sm:inline">{t('importData')}</span></button>
+                    <input type="file" ref={importInputRef} accept=".csv,.json,.md,.markdown,.txt,text/csv,application/json,text/markdown,text/plain" onChange={handleImportFile} className="hidden"/>
+                    {notes.length > 0 && <button onClick={()=>openExport()} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><FileDown size={16}/><span className="hidden sm:inline">{t('download')}</span></button>}
+                    <button onClick={()=>setEncryptionDialog({ passphrase: '', confirm: '', error: '', busy: false, progress: null })} title={t('encryption')} className="p-2 rounded-lg" style={{backgroundColor: subtleBgColor}}>{encryptionStatus === 'on' ? <ShieldCheck size={20}/> : <Lock size={20}/>}</button>
+                    {notificationsSupported && <button onClick={()=>setReminderDialog({ from: '', to: '' })} title={t('reminders')} className="p-2 rounded-lg" style={{backgroundColor: subtleBgColor}}><AlarmClock size={20} className={reminders.enabled ? '' : 'opacity-60'}/></button>}
+                    <button onClick={toggleCalendar} title={t('calendar')} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><CalendarDays size={16}/><span className="hidden sm:inline">{t('calendar')}</span></button>
+                    <button onClick={()=>{ setShowCalendar(false); setShowTrash(!showTrash); }} title={t('trash')} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><Archive size={16}/><span className="hidden sm:inline">{t('trash')}</span>{trashedNotes.length > 0 && <span className="text-xs px-1.5 rounded-full" style={{backgroundColor: accentColor, color: accentTextColor}}>{trashedNotes.length}</span>}</button>
                     {notes.length > 0 && <button onClick={()=>handleDeleteSelection({type:'all'})} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><Trash2 size={16}/><span className="hidden sm:inline">{t('deleteAll')}</span></button>}
-                    <button onClick={()=>signOut(auth)} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><LogOut size={16}/><span className="hidden sm:inline">{t('signOut')}</span></button>
+                    {user.isLocal && <span className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm opacity-80" title={t('useLocallyHint')}><HardDrive size={16}/><span className="hidden sm:inline">{t('localMode')}</span></span>}
+                    {user.isLocal
+                        ? !localOnly && <button onClick={()=>switchStorageMode('firestore')} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><LogOut size={16}/><span className="hidden sm:inline">{t('leaveLocalMode')}</span></button>
+                        : <button onClick={()=>signOut(auth)} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm" style={{backgroundColor: subtleBgColor}}><LogOut size={16}/><span className="hidden sm:inline">{t('signOut')}</span></button>}
                 </div>
             </header>
 
-            <main className="flex-grow p-4 sm:p-6 overflow-y-auto pb-32"><div className="max-w-3xl mx-auto">
-                {firestoreError && <div className="mb-4 bg-red-100/20 border border-red-400 text-red-400 px-4 py-3 rounded-lg"><strong className="font-bold">Database Error! </strong><span className="block sm:inline">{firestoreError}</span></div>}
-                <div className="relative mb-6"><Search className="absolute left-4 top-1/2 -translate-y-1/2 opacity-50" size={20}/><input type="text" placeholder={t('searchPlaceholder')} value={searchTerm} onChange={e=>setSearchTerm(e.target.value)} className="w-full border rounded-lg py-3 pl-12 pr-4 focus:outline-none focus:ring-2" style={{backgroundColor: subtleBgColor, borderColor: accentColor, ringColor: accentColor}} /></div>
-                <h2 className="text-2xl font-semibold border-b-2 pb-2 mb-4" style={{borderColor: accentColor}}>{t('today')}</h2>
-                <div className="space-y-4">{todayNotes.length > 0 ? todayNotes.map(renderNote) : <p className="opacity-60 text-center py-8">{searchTerm? t('noMatchToday') : t('noNotesToday')}</p>}</div>
-                {pastNotesRaw.length > 0 && (<div className="mt-12">
-                    <button onClick={()=>setShowPastNotes(!showPastNotes)} className="w-full flex justify-between items-center text-left text-2xl font-semibold border-b-2 pb-2 mb-4" style={{borderColor: accentColor}}><span>{t('pastEntries')}</span>{showPastNotes ? <ChevronUp/> : <ChevronDown/>}</button>
+            <main className={`flex-grow p-4 sm:p-6 overflow-y-auto ${composerOpen ? 'pb-96' : 'pb-32'}`}><div className="max-w-3xl mx-auto">
+                {!isOnline && !user.isLocal && <div className="mb-4 bg-yellow-100/20 border border-yellow-400 px-4 py-3 rounded-lg flex items-center gap-2"><CloudOff size={18} className="flex-shrink-0"/><span>{t('offlineBanner')}</span></div>}
+                {firestoreError && <div className="mb-4 bg-red-100/20 border border-red-400 text-red-400 px-4 py-3 rounded-lg"><strong className="font-bold">{t('dbErrorTitle')} </strong><span className="block sm:inline">{dbErrorText}</span></div>}
+                {showTrash ? (<>
+                    <button onClick={()=>setShowTrash(false)} className="flex items-center gap-2 mb-4 opacity-80 hover:opacity-100"><ArrowLeft size={18}/>{t('backToDiary')}</button>
+                    <div className="flex flex-wrap justify-between items-center gap-4 border-b-2 pb-2 mb-4" style={{borderColor: accentColor}}>
+                        <h2 className="text-2xl font-semibold">{t('trash')}</h2>
+                        {trashedNotes.length > 0 && <button onClick={()=>handleDeleteSelection({type:'trash'})} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm bg-red-600 hover:bg-red-500 text-white transition-colors"><Trash2 size={16}/>{t('emptyTrash')}</button>}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 mb-2 text-sm"><label htmlFor="trash-retention">{t('trashRetention')}</label><select id="trash-retention" value={trashRetentionDays} onChange={e=>setTrashRetentionDays(parseInt(e.target.value, 10))} className="rounded-lg px-3 py-1 focus:outline-none" style={{backgroundColor: subtleBgColor, color: textColor}}>{[7, 30, 90, 0].map(days => <option key={days} value={days}>{t('trashRetentionDays', days)}</option>)}</select></div>
+                    <p className="text-sm opacity-60 mb-6">{t('trashHint', trashRetentionDays)}</p>
+                    <div className="space-y-4">{trashedNotes.length > 0 ? trashedNotes.map(renderTrashedNote) : <p className="opacity-60 text-center py-8">{t('trashEmpty')}</p>}</div>
+                </>) : showCalendar ? (() => {
+                    const weekStart = weekStartsOn(langCode);
+                    const weekdays = [...Array(7).keys()].map(i => weekdayName((weekStart + i) % 7, langCode));
+                    const heatWeeks = yearWeeks(heatmapYear, weekStart);
+                    const heatMax = Math.max(0, ...heatWeeks.flat().filter(Boolean).map(d => dayCounts.get(dayKey(d)) || 0));
+                    const maxWeekly = Math.max(1, ...(stats?.weekly || [])), maxHourly = Math.max(1, ...(stats?.byHour || []));
+                    const cellTitle = date => t('entriesOn', date, dayCounts.get(dayKey(date)) || 0);
+                    return (<>
+                    <button onClick={()=>setShowCalendar(false)} className="flex items-center gap-2 mb-4 opacity-80 hover:opacity-100"><ArrowLeft size={18}/>{t('backToDiary')}</button>
+                    <h2 className="text-2xl font-semibold border-b-2 pb-2 mb-6" style={{borderColor: accentColor}}>{t('calendar')}</h2>
+                    {!fullHistoryLoaded ? <p className="opacity-60 text-center py-8">{t('loadingNotes')}</p> : (<>
+                    <div className="grid grid-cols-2 gap-4 mb-8">
+                        {[['currentStreak', streaks.current], ['longestStreak', streaks.longest]].map(([label, value]) => (<div key={label} className="p-4 rounded-lg flex items-center gap-3" style={{backgroundColor: subtleBgColor}}>
+                            <Flame size={28} style={{color: value ? accentColor : undefined}} className={value ? '' : 'opacity-40'}/>
+                            <div><p className="text-sm opacity-70">{t(label)}</p><p className="text-xl font-semibold">{t('streakDays', value)}</p></div>
+                        </div>))}
+                    </div>
+
+                    <div className="p-4 rounded-lg mb-8" style={{backgroundColor: subtleBgColor}}>
+                        <div className="flex items-center justify-between mb-4">
+                            <button onClick={()=>shiftCalendarMonth(-1)} title={t('previousPeriod')} className="p-1 rounded-full hover:bg-white/10"><ChevronLeft size={20}/></button>
+                            <h3 className="text-lg font-semibold capitalize">{monthYear(calendarMonth.year, calendarMonth.month, langCode)}</h3>
+                            <button onClick={()=>shiftCalendarMonth(1)} title={t('nextPeriod')} className="p-1 rounded-full hover:bg-white/10"><ChevronRight size={20}/></button>
+                        </div>
+                        <div className="grid grid-cols-7 gap-1 text-center text-sm">
+                            {weekdays.map(day => <div key={day} className="opacity-60 pb-1">{day}</div>)}
+                            {monthGrid(calendarMonth.year, calendarMonth.month, weekStart).flat().map((date, i) => {
+                                if (!date) return <div key={i}/>;
+                                const count = dayCounts.get(dayKey(date)) || 0;
+                                const isToday = date.toDateString() === todayKey;
+                                return <button key={i} onClick={()=>jumpToDay(date)} disabled={!count} title={cellTitle(date)} className={`aspect-square rounded-lg flex flex-col items-center justify-center transition-opacity ${count ? 'hover:opacity-80' : 'opacity-50 cursor-default'} ${isToday ? 'ring-2' : ''}`} style={{backgroundColor: count ? accentColor : 'transparent', color: count ? accentTextColor : textColor, '--tw-ring-color': accentColor}}>
+                                    <span>{date.getDate()}</span>
+                                    {count > 1 && <span className="text-xs opacity-80 leading-none">{count}</span>}
+                                </button>;
+                            })}
+                        </div>
+                    </div>
+
+                    <div className="p-4 rounded-lg mb-8" style={{backgroundColor: subtleBgColor}}>
+                        <div className="flex items-center justify-between mb-4">
+                            <button onClick={()=>setHeatmapYear(y => y - 1)} title={t('previousPeriod')} className="p-1 rounded-full hover:bg-white/10"><ChevronLeft size={20}/></button>
+                            <h3 className="text-lg font-semibold">{heatmapYear}</h3>
+                            <button onClick={()=>setHeatmapYear(y => y + 1)} disabled={heatmapYear >= new Date().getFullYear()} title={t('nextPeriod')} className="p-1 rounded-full hover:bg-white/10 disabled:opacity-30"><ChevronRight size={20}/></button>
+                        </div>
+                        <div className="overflow-x-auto"><div className="flex gap-[3px] w-max">
+                            {heatWeeks.map((week, w) => (<div key={w} className="flex flex-col gap-[3px]">
+                                {week.map((date, d) => {
+                                    if (!date) return <div key={d} className="w-3 h-3"/>;
+                                    const level = heatLevel(dayCounts.get(dayKey(date)) || 0, heatMax);
+                                    return <button key={d} onClick={()=>level && jumpToDay(date)} title={cellTitle(date)} className={`w-3 h-3 rounded-sm ${level ? '' : 'cursor-default'}`} style={{backgroundColor: level ? accentColor : shadeColor(subtleBgColor, isDarkTheme ? 15 : -10), opacity: level ? 0.25 + level * 0.1875 : 1}}/>;
+                                })}
+                            </div>))}
+                        </div></div>
+                    </div>
+
+                    <h2 className="text-2xl font-semibold border-b-2 pb-2 mb-6" style={{borderColor: accentColor}}>{t('statistics')}</h2>
+                    {stats.total === 0 ? <p className="opacity-60 text-center py-8">{t('noStats')}</p> : (<div className="space-y-6">
+                        <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                            {[['entriesPerWeek', formatNumber(stats.perWeek, langCode, { maximumFractionDigits: 1 })], ['wordsPerEntry', formatNumber(Math.round(stats.wordsPerEntry), langCode)], ['busiestTime', hourLabel(stats.busiestHour, langCode)]].map(([label, value]) => (<div key={label} className="p-4 rounded-lg" style={{backgroundColor: subtleBgColor}}>
+                                <p className="text-sm opacity-70">{t(label)}</p><p className="text-2xl font-semibold">{value}</p>
+                            </div>))}
+                        </div>
+                        <div className="p-4 rounded-lg" style={{backgroundColor: subtleBgColor}}>
+                            <p className="text-sm opacity-70 mb-2">{t('voiceVsTyped')}</p>
+                            <div className="flex h-4 rounded-full overflow-hidden bg-black/20"><div style={{width: `${(stats.voice / stats.total) * 100}%`, backgroundColor: accentColor}}/></div>
+                            <div className="flex justify-between text-sm mt-2"><span className="flex items-center gap-1"><Mic size={14}/>{t('sourceVoice')} {Math.round((stats.voice / stats.total) * 100)}%</span><span className="flex items-center gap-1">{t('sourceTyped')} {Math.round((stats.typed / stats.total) * 100)}%<Edit size={14}/></span></div>
+                        </div>
+                        <div className="p-4 rounded-lg" style={{backgroundColor: subtleBgColor}}>
+                            <p className="text-sm opacity-70 mb-2">{t('lastWeeks', stats.weekly.length)}</p>
+                            <div className="flex items-end gap-1 h-24">{stats.weekly.map((count, i) => <div key={i} title={String(count)} className="flex-1 rounded-t" style={{height: `${(count / maxWeekly) * 100}%`, minHeight: count ? 4 : 1, backgroundColor: accentColor}}/>)}</div>
+                        </div>
+                        <div className="p-4 rounded-lg" style={{backgroundColor: subtleBgColor}}>
+                            <p className="text-sm opacity-70 mb-2">{t('entriesByHour')}</p>
+                            <div className="flex items-end gap-0.5 h-24">{stats.byHour.map((count, hour) => <div key={hour} title={`${hourLabel(hour, langCode)}: ${count}`} className="flex-1 rounded-t" style={{height: `${(count / maxHourly) * 100}%`, minHeight: count ? 4 : 1, backgroundColor: accentColor, opacity: hour === stats.busiestHour ? 1 : 0.6}}/>)}</div>
+                            <div className="flex justify-between text-xs opacity-60 mt-1">{[0, 6, 12, 18, 23].map(hour => <span key={hour}>{hourLabel(hour, langCode)}</span>)}</div>
+                        </div>
+                    </div>)}
+                    </>)}
+                    </>);
+                })() : (<>
+                <div className="relative mb-6"><Search className="absolute left-4 top-1/2 -translate-y-1/2 opacity-50" size={20}/><input ref={searchInputRef} type="text" placeholder={t('searchPlaceholder')} title={`${t('searchHelp')} ${t('searchShortcut')}`} value={searchTerm} onChange={e=>setSearchTerm(e.target.value)} className="w-full border rounded-lg py-3 pl-12 pr-4 focus:outline-none focus:ring-2" style={{backgroundColor: subtleBgColor, borderColor: accentColor, ringColor: accentColor}} /></div>
+                {(tagCounts.length > 0 || notes.some(n => n.mood)) && <div className="flex flex-wrap items-center gap-2 -mt-3 mb-6 text-sm">
+                    {MOODS.map(mood => <button key={mood.value} onClick={()=>setMoodFilter(moodFilter === mood.value ? null : mood.value)} title={t('moodNames', mood.value)} className={`text-xl px-1 rounded-lg transition-opacity ${moodFilter === mood.value ? '' : 'opacity-40 hover:opacity-100'}`} style={moodFilter === mood.value ? {backgroundColor: accentColor, color: accentTextColor} : undefined}>{mood.emoji}</button>)}
+                    {tagCounts.slice(0, 20).map(({ tag, count }) => <button key={tag} onClick={()=>toggleTagFilter(tag)} className="px-2 py-0.5 rounded-full transition-colors" style={selectedTags.includes(tag) ? {backgroundColor: accentColor, color: accentTextColor} : {backgroundColor: subtleBgColor}}>#{tag} <span className="opacity-60">{count}</span></button>)}
+                    <button onClick={()=>setShowTagManager(true)} title={t('manageTags')} className="p-1 opacity-60 hover:opacity-100"><SlidersHorizontal size={16}/></button>
+                    {hasFilters && <button onClick={()=>{ setSelectedTags([]); setMoodFilter(null); }} className="flex items-center gap-1 px-2 py-0.5 opacity-70 hover:opacity-100"><FilterX size={14}/>{t('clearFilters')}</button>}
+                </div>}
+                {!searchTerm.trim() && !hasFilters && (memories.years.length > 0 || memories.monthAgo.length > 0 || randomMemory || pastTree.length > 0) && (<section id="on-this-day" className="mb-10 p-4 rounded-lg border-2 scroll-mt-28" style={{borderColor: accentColor}}>
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                        <h2 className="text-xl font-semibold flex items-center gap-2"><Sparkles size={20}/>{t(randomMemory ? 'randomMemory' : 'onThisDay')}</h2>
+                        <div className="flex items-center gap-1">
+                            <button onClick={()=>showRandomMemory(randomMemory?.id)} title={t(randomMemory ? 'anotherMemory' : 'randomMemory')} className="p-2 rounded-lg hover:bg-white/10"><Shuffle size={18}/></button>
+                            {notificationsSupported && <button onClick={toggleMemoryNotifications} title={t(memoryNotifications ? 'memoryNotificationsOn' : 'memoryNotificationsOff')} className="p-2 rounded-lg hover:bg-white/10">{memoryNotifications ? <Bell size={18}/> : <BellOff size={18} className="opacity-60"/>}</button>}
+                        </div>
+                    </div>
+                    {randomMemory ? (randomMemory.pending ? <p className="text-sm opacity-60">{t('loadingNotes')}</p> : randomNote && (<>
+                        <p className="text-sm font-semibold mb-2" style={{color: accentColor}}>{formatDate(randomNote.timestamp.toDate(), langCode, { dateStyle: 'full' })}</p>
+                        {renderNote(randomNote)}
+                        <div className="flex flex-wrap justify-end gap-2 mt-3 text-sm">
+                            <button onClick={()=>setRandomMemory(null)} className="px-3 py-1 rounded-lg hover:bg-white/10">{t('backToOnThisDay')}</button>
+                            <button onClick={()=>showRandomMemory(randomNote.id)} className="flex items-center gap-2 px-3 py-1 rounded-lg" style={{backgroundColor: accentColor, color: accentTextColor}}><Shuffle size={14}/>{t('anotherMemory')}</button>
+                        </div>
+                    </>)) : (<div className="space-y-4">
+                        {memories.years.map(({ year, notes: list }) => (<div key={year}>
+                            <h3 className="text-sm font-semibold mb-2" style={{color: accentColor}}>{t('yearsAgo', new Date().getFullYear() - year)} · {year}</h3>
+                            <div className="space-y-3">{list.map(renderNote)}</div>
+                        </div>))}
+                        {memories.monthAgo.length > 0 && (<div>
+                            <h3 className="text-sm font-semibold mb-2" style={{color: accentColor}}>{t('aMonthAgo')}</h3>
+                            <div className="space-y-3">{memories.monthAgo.map(renderNote)}</div>
+                        </div>)}
+                        {memories.years.length === 0 && memories.monthAgo.length === 0 && <p className="text-sm opacity-60">{t('noMemoriesToday')}</p>}
+                    </div>)}
+                    <div className="flex flex-wrap items-center gap-4 mt-4 text-sm opacity-80">
+                        <label className="flex items-center gap-2"><input type="checkbox" checked={includeMonthAgo} onChange={e=>setIncludeMonthAgo(e.target.checked)}/>{t('includeMonthAgo')}</label>
+                        {memoryNotifications && <label className="flex items-center gap-2">{t('memoryNotificationTime')}<select value={memoryHour} onChange={e=>setMemoryHour(parseInt(e.target.value, 10))} className="rounded px-2 py-1 focus:outline-none" style={{backgroundColor: subtleBgColor, color: textColor}}>{[...Array(24).keys()].map(hour => <option key={hour} value={hour}>{hourLabel(hour, langCode)}</option>)}</select></label>}
+                    </div>
+                </section>)}
+                <h2 id="today" className="text-2xl font-semibold border-b-2 pb-2 mb-4 scroll-mt-28" style={{borderColor: accentColor}}>{t('today')}</h2>
+                <div className="space-y-4">{todayNotes.length > 0 ? todayNotes.map(renderNote) : <p className="opacity-60 text-center py-8">{searchTerm || hasFilters ? t('noMatchToday') : t(dictationMode === 'continuous' ? 'noNotesTodayContinuous' : 'noNotesToday')}</p>}</div>
+                {pastTree.length > 0 && (<div className="mt-12">
+                    <button onClick={togglePastNotes} className="w-full flex justify-between items-center text-left text-2xl font-semibold border-b-2 pb-2 mb-4" style={{borderColor: accentColor}}><span>{t('pastEntries')}</span>{showPastNotes ? <ChevronUp/> : <ChevronDown/>}</button>
                     {showPastNotes && (<div className="space-y-2 mt-4 pl-2">
-                        {Object.keys(structuredPastNotes).sort((a,b)=>b-a).map(year => (<div key={year} className="py-2">
-                            <div className="w-full flex items-center justify-between text-left text-xl font-medium"><button onClick={()=>toggleExpand(year)} className="flex items-center flex-grow transition-opacity hover:opacity-80">{expandedItems[year] ? <ChevronUp size={20} className="mr-2"/> : <ChevronDown size={20} className="mr-2"/>}{year}</button><button onClick={()=>handleDeleteSelection({type:'year',year:parseInt(year)})} className="p-1 opacity-50 hover:opacity-100 hover:bg-white/10 rounded-full"><Trash2 size={16}/></button></div>
+                        {pastTree.map(({ year, count, months }) => (<div key={year} className="py-2">
+                            <div className="w-full flex items-center justify-between text-left text-xl font-medium"><button onClick={()=>toggleYear(year)} className="flex items-center flex-grow transition-opacity hover:opacity-80">{expandedItems[year] ? <ChevronUp size={20} className="mr-2"/> : <ChevronDown size={20} className="mr-2"/>}{year}<span className="ml-2 text-sm opacity-50">{count}</span></button><button onClick={()=>openExport('node',{type:'year',year})} title={t('exportTitle')} className="p-1 opacity-50 hover:opacity-100 hover:bg-white/10 rounded-full"><FileDown size={16}/></button><button onClick={()=>handleDeleteSelection({type:'year',year})} className="p-1 opacity-50 hover:opacity-100 hover:bg-white/10 rounded-full"><Trash2 size={16}/></button></div>
                             {expandedItems[year] && (<div className="pl-6 mt-2 space-y-2 border-l" style={{borderColor: accentColor}}>
-                                {Object.keys(structuredPastNotes[year]).map(month => (<div key={month} className="py-1">
-                                    <div className="w-full flex items-center justify-between text-left text-lg font-normal opacity-80"><button onClick={()=>toggleExpand(`${year}-${month}`)} className="flex items-center flex-grow transition-opacity hover:opacity-100">{expandedItems[`${year}-${month}`]?<ChevronUp size={18} className="mr-2"/>:<ChevronDown size={18} className="mr-2"/>}{month}</button><button onClick={()=>handleDeleteSelection({type:'month',year:parseInt(year),month})} className="p-1 opacity-50 hover:opacity-100 hover:bg-white/10 rounded-full"><Trash2 size={16}/></button></div>
-                                    {expandedItems[`${year}-${month}`] && (<div className="pl-6 mt-2 space-y-4 border-l" style={{borderColor: accentColor}}>
-                                        {Object.keys(structuredPastNotes[year][month]).sort((a,b)=>b-a).map(day => (<div key={day}>
-                                            <h4 className="text-md font-semibold mb-2" style={{color: accentColor}}>{month} {day}, {year}</h4>
-                                            <div className="space-y-4">{structuredPastNotes[year][month][day].map(renderNote)}</div>
-                                        </div>))}
+                                {!months && <p className="text-sm opacity-60">{t('loadingNotes')}</p>}
+                                {months?.map(({ month, count, days }) => (<div key={month} className="py-1">
+                                    <div className="w-full flex items-center justify-between text-left text-lg font-normal opacity-80"><button onClick={()=>toggleMonth(year, month)} className="flex items-center flex-grow transition-opacity hover:opacity-100">{expandedItems[`${year}-${month}`]?<ChevronUp size={18} className="mr-2"/>:<ChevronDown size={18} className="mr-2"/>}{monthName(year, month, langCode)}<span className="ml-2 text-sm opacity-60">{count}</span></button><button onClick={()=>openExport('node',{type:'month',year,month})} title={t('exportTitle')} className="p-1 opacity-50 hover:opacity-100 hover:bg-white/10 rounded-full"><FileDown size={16}/></button><button onClick={()=>handleDeleteSelection({type:'month',year,month})} className="p-1 opacity-50 hover:opacity-100 hover:bg-white/10 rounded-full"><Trash2 size={16}/></button></div>
+                                    {expandedItems[`${year}-${month}`] && (<div className="pl-6 mt-2 border-l" style={{borderColor: accentColor}}>
+                                        {days ? <VirtualList className="space-y-4"
+                                            items={days.flatMap(day => [{ key: `day-${day.date.getDate()}`, day }, ...day.notes.map(note => ({ key: note.id, note }))])}
+                                            getKey={item => item.key}
+                                            getId={item => item.day && `day-${dayKey(item.day.date)}`}
+                                            renderItem={item => item.note ? renderNote(item.note) : <h4 className="text-md font-semibold pt-2" style={{color: accentColor}}>{formatDate(item.day.date, langCode, { dateStyle: 'long' })}</h4>}
+                                        /> : <p className="text-sm opacity-60">{t('loadingNotes')}</p>}
                                     </div>)}
                                 </div>))}
                             </div>)}
                         </div>))}
                     </div>)}
                 </div>)}
+                </>)}
             </div></main>
+
+            {undoToast && <div className="fixed bottom-32 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 px-4 py-3 rounded-lg shadow-2xl" style={{backgroundColor: accentColor, color: accentTextColor}} role="status">
+                <span>{undoToast.message}</span>
+                <button onClick={handleUndo} className="font-semibold underline">{t('undo')}</button>
+                <button onClick={()=>setUndoToast(null)} className="opacity-70 hover:opacity-100"><X size={16}/></button>
+            </div>}
             
-            <footer className="fixed bottom-0 left-0 right-0 p-4 backdrop-blur-lg flex justify-center items-center text-center" style={{backgroundColor: shadeColor(themeColor, -5) + '80' }}>
-                {micError ? <p className="text-red-500">{micError}</p> : <button onMouseDown={handleRecordStart} onMouseUp={handleRecordStop} onTouchStart={handleRecordStart} onTouchEnd={handleRecordStop} className={`w-20 h-20 rounded-full flex items-center justify-center transition-all duration-300 shadow-lg hover:scale-105 ${isRecording ? 'animate-pulse !bg-red-600' : ''}`} style={{backgroundColor: accentColor, color: micColor}}><Mic size={40}/></button>}
+            <footer className="fixed bottom-0 left-0 right-0 p-4 backdrop-blur-lg flex flex-col justify-center items-center text-center gap-3" style={{backgroundColor: shadeColor(themeColor, -5) + '80' }}>
+                {isRecording && <div className="max-w-3xl w-full max-h-32 overflow-y-auto rounded-lg px-4 py-2 text-left whitespace-pre-wrap" style={{backgroundColor: subtleBgColor}} aria-live="polite">
+                    {liveTranscript.final || liveTranscript.interim ? <>{liveTranscript.final}<span className="opacity-60">{liveTranscript.final && liveTranscript.interim ? ' ' : ''}{liveTranscript.interim}</span></> : <span className="opacity-60">{t('listening')}</span>}
+                </div>}
+                {recordPrompt && !isRecording && !micError && <div className="flex items-center gap-3 px-4 py-2 rounded-lg shadow-lg" style={{backgroundColor: accentColor, color: accentTextColor}} role="status"><span>{t('readyToRecord', dictationMode)}</span><button onClick={()=>setRecordPrompt(false)} title={t('close')} className="opacity-80 hover:opacity-100"><X size={16}/></button></div>}
+                {composerOpen && <div className="max-w-3xl w-full rounded-lg p-3 text-left shadow-lg" style={{backgroundColor: subtleBgColor}}>
+                    <MarkdownEditor ref={composerRef} value={composerText} onChange={e => { composerTypedRef.current = true; setComposerText(e.target.value); }} onSubmit={() => saveComposer()} onCancel={closeComposer} placeholder={t('composerPlaceholder')} rows={4} autoFocus t={t} accentColor={accentColor} accentTextColor={accentTextColor} />
+                    <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+                        <p className="text-xs opacity-60">{t('markdownHint')}</p>
+                        <div className="flex gap-2 ml-auto">
+                            <button onClick={closeComposer} className="px-3 py-1 rounded-lg hover:bg-white/10">{t('cancel')}</button>
+                            <button onClick={() => saveComposer()} disabled={!composerText.trim()} className="flex items-center gap-2 px-3 py-1 rounded-lg disabled:opacity-40" style={{backgroundColor: accentColor, color: accentTextColor}}><Save size={16}/>{t('saveNote')}</button>
+                        </div>
+                    </div>
+                </div>}
+                {micError && <p className="text-red-500">{micError === 'unsupported' ? t('speechUnsupported') : t('speechError', micError)}</p>}
+                <div className="flex items-center gap-4">
+                    <button onClick={() => composerOpen ? composerRef.current?.focus() : openComposer()} title={t('writeNote')} className="p-3 rounded-full" style={composerOpen ? {backgroundColor: accentColor, color: accentTextColor} : {backgroundColor: subtleBgColor}}><PenLine size={20}/></button>
+                    {!micError && <>
+                        <button onClick={toggleDictationMode} disabled={isRecording} title={t(dictationMode === 'continuous' ? 'tapToToggle' : 'holdToTalk')} className="p-3 rounded-full disabled:opacity-40" style={{backgroundColor: subtleBgColor}}>{dictationMode === 'continuous' ? <Repeat size={20}/> : <Hand size={20}/>}</button>
+                        {dictationMode === 'continuous'
+                            ? <button onClick={handleRecordToggle} title={t('tapToToggle')} className={`w-20 h-20 rounded-full flex items-center justify-center transition-all duration-300 shadow-lg hover:scale-105 ${isRecording ? 'animate-pulse !bg-red-600' : ''}`} style={{backgroundColor: accentColor, color: accentTextColor}}>{isRecording ? <MicOff size={40}/> : <Mic size={40}/>}</button>
+                            : <button onMouseDown={handleRecordStart} onMouseUp={handleRecordStop} onTouchStart={handleRecordStart} onTouchEnd={handleRecordStop} title={t('holdToTalk')} className={`w-20 h-20 rounded-full flex items-center justify-center transition-all duration-300 shadow-lg hover:scale-105 ${isRecording ? 'animate-pulse !bg-red-600' : ''}`} style={{backgroundColor: accentColor, color: accentTextColor}}><Mic size={40}/></button>}
+                        {audioCaptureSupported ? <button onClick={()=>setKeepAudio(k => !k)} disabled={isRecording} title={t(keepAudio ? 'keepAudioOn' : 'keepAudioOff')} className="p-3 rounded-full disabled:opacity-40" style={{backgroundColor: subtleBgColor}}>{keepAudio ? <Volume2 size={20}/> : <VolumeX size={20}/>}</button> : <span className="w-11" aria-hidden="true"/>}
+                    </>}
+                </div>
             </footer>
 
             {showDeleteConfirm && (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
@@ -373,11 +1418,203 @@ export default function App() {
                     <h3 className="text-xl font-bold mb-4">{t('confirmDeletionTitle')}</h3>
                     <p className="opacity-80 mb-6">{confirmText}</p>
                     <div className="flex justify-center gap-4">
-                        <button onClick={()=>setShowDeleteConfirm(null)} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor}}>{t('cancel')}</button>
-                        <button onClick={handleConfirmDelete} className="px-6 py-2 rounded-lg bg-red-600 hover:bg-red-500 text-white transition-colors">{t('delete')}</button>
+                        <button onClick={()=>setShowDeleteConfirm(null)} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('cancel')}</button>
+                        <button onClick={handleConfirmDelete} disabled={!deleteReady} className="px-6 py-2 rounded-lg bg-red-600 hover:bg-red-500 text-white transition-colors disabled:opacity-40">{deleteReady ? t('delete') : t('loadingNotes')}</button>
                     </div>
                 </div>
             </div>)}
+
+            {showTagManager && (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                <div className="rounded-lg p-6 max-w-md w-full shadow-2xl flex flex-col max-h-[90vh]" style={{backgroundColor: subtleBgColor, color: textColor}}>
+                    <h3 className="text-xl font-bold mb-1 flex items-center gap-2"><Tags size={20}/>{t('manageTags')}</h3>
+                    <p className="text-sm opacity-60 mb-4">{t('renameTagHint')}</p>
+                    <div className="overflow-y-auto flex-grow space-y-2 mb-4">
+                        {tagCounts.length === 0 && <p className="opacity-60 text-center py-4">{t('noTags')}</p>}
+                        {tagCounts.map(({ tag, count }) => (<div key={tag} className="flex items-center gap-2">
+                            <span className="w-10 text-right text-sm opacity-60">{count}</span>
+                            <input value={tagRenames[tag] ?? tag} onChange={e => setTagRenames(r => ({ ...r, [tag]: e.target.value }))} onKeyDown={e => { if (e.key === 'Enter') renameTag(tag, tagRenames[tag] ?? tag); }} list="known-tags" className="flex-grow rounded px-2 py-1 bg-black/20 focus:outline-none"/>
+                            <button onClick={() => renameTag(tag, tagRenames[tag] ?? tag)} disabled={!fullHistoryLoaded || !tagRenames[tag] || normalizeTag(tagRenames[tag]) === tag} className="px-3 py-1 rounded-lg text-sm disabled:opacity-40" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('renameTag')}</button>
+                        </div>))}
+                        <datalist id="known-tags">{tagCounts.map(({ tag }) => <option key={tag} value={tag}/>)}</datalist>
+                    </div>
+                    <div className="flex justify-end"><button onClick={() => { setShowTagManager(false); setTagRenames({}); }} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('close')}</button></div>
+                </div>
+            </div>)}
+
+            {reminderDialog && (() => {
+                const weekStart = weekStartsOn(langCode);
+                const weekdays = [...Array(7).keys()].map(i => (weekStart + i) % 7);
+                const triggersSupported = 'showTrigger' in Notification.prototype;
+                return (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="rounded-lg p-6 max-w-md w-full shadow-2xl flex flex-col max-h-[90vh]" style={{backgroundColor: subtleBgColor, color: textColor}}>
+                        <h3 className="text-xl font-bold mb-4 flex items-center gap-2"><AlarmClock size={20}/>{t('reminders')}</h3>
+                        <div className="overflow-y-auto flex-grow space-y-5 mb-4 pr-1">
+                            <label className="flex items-center gap-2 font-semibold"><input type="checkbox" checked={reminders.enabled} onChange={toggleReminders}/>{t('remindersEnabled')}</label>
+                            <fieldset disabled={!reminders.enabled} className="space-y-5 disabled:opacity-50">
+                                <div><p className="font-semibold mb-2">{t('reminderTimes')}</p>
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        {reminders.times.map((time, i) => <span key={i} className="flex items-center gap-1 rounded px-2 py-1 bg-black/20">
+                                            <input type="time" value={time} onChange={e => e.target.value && updateReminderTime(i, e.target.value)} onBlur={tidyReminderTimes} className="bg-transparent focus:outline-none"/>
+                                            {reminders.times.length > 1 && <button onClick={() => setReminders(r => ({ ...r, times: r.times.filter((_, j) => j !== i) }))} title={t('delete')} className="opacity-60 hover:opacity-100"><X size={14}/></button>}
+                                        </span>)}
+                                        <button onClick={() => setReminders(r => ({ ...r, times: [...new Set([...r.times, '12:00'])].sort() }))} title={t('addReminderTime')} className="p-1 rounded-full hover:bg-white/10"><Plus size={18}/></button>
+                                    </div>
+                                </div>
+                                <div><p className="font-semibold mb-2">{t('reminderDays')}</p>
+                                    <div className="flex flex-wrap gap-1">{weekdays.map(day => <button key={day} onClick={() => toggleReminderWeekday(day)} className={`px-2 py-1 rounded-lg text-sm ${reminders.weekdays.includes(day) ? '' : 'bg-black/20 opacity-60'}`} style={reminders.weekdays.includes(day) ? {backgroundColor: accentColor, color: accentTextColor} : undefined}>{weekdayName(day, langCode)}</button>)}</div>
+                                </div>
+                                <div><p className="font-semibold mb-1">{t('quietDays')}</p>
+                                    <p className="text-sm opacity-60 mb-2">{t('quietDaysHint')}</p>
+                                    {reminders.quietDays.map((range, i) => <div key={i} className="flex items-center justify-between gap-2 text-sm py-1">
+                                        <span>{formatDate(`${range.from}T00:00`, langCode)}{range.to !== range.from && ` – ${formatDate(`${range.to}T00:00`, langCode)}`}</span>
+                                        <button onClick={() => setReminders(r => ({ ...r, quietDays: r.quietDays.filter((_, j) => j !== i) }))} title={t('delete')} className="opacity-60 hover:opacity-100"><X size={14}/></button>
+                                    </div>)}
+                                    <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                                        <input type="date" value={reminderDialog.from} onChange={e => setReminderDialog(d => ({ ...d, from: e.target.value }))} className="rounded px-2 py-1 bg-black/20"/>
+                                        <span>–</span>
+                                        <input type="date" value={reminderDialog.to} min={reminderDialog.from} onChange={e => setReminderDialog(d => ({ ...d, to: e.target.value }))} className="rounded px-2 py-1 bg-black/20"/>
+                                        <button onClick={addQuietDays} disabled={!reminderDialog.from} className="px-3 py-1 rounded-lg disabled:opacity-40" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('addQuietDays')}</button>
+                                    </div>
+                                </div>
+                            </fieldset>
+                            <p className="text-sm opacity-60">{t('reminderSkipHint')}{!triggersSupported && ` ${t('reminderFallbackHint')}`}</p>
+                        </div>
+                        <div className="flex justify-end"><button onClick={() => setReminderDialog(null)} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('close')}</button></div>
+                    </div>
+                </div>);
+            })()}
+
+            {themeDialog && (() => {
+                const custom = theme.preset === 'custom' ? theme.custom : null;
+                const editing = custom || palette;
+                const checks = checkPalette(editing);
+                const presetPalette = id => id === 'custom' ? palette : THEME_PRESETS[id === 'system' ? (prefersDark ? 'dark' : 'light') : id];
+                return (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="rounded-lg p-6 max-w-lg w-full shadow-2xl flex flex-col max-h-[90vh]" style={{backgroundColor: subtleBgColor, color: textColor}}>
+                        <h3 className="text-xl font-bold mb-4 flex items-center gap-2"><Palette size={20}/>{t('theme')}</h3>
+                        <div className="overflow-y-auto flex-grow space-y-5 mb-4 pr-1">
+                            <div><p className="font-semibold mb-2">{t('themePresets')}</p>
+                                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">{[...THEME_IDS, ...(custom ? ['custom'] : [])].map(id => {
+                                    const swatch = presetPalette(id);
+                                    return <button key={id} onClick={() => { setTheme({ preset: id, custom: id === 'custom' ? custom : null }); setThemeDialog(d => ({ ...d, drafts: {} })); }} className={`rounded-lg p-2 text-sm text-left border-2 ${theme.preset === id ? '' : 'border-transparent'}`} style={{backgroundColor: swatch.background, color: swatch.text, borderColor: theme.preset === id ? accentColor : undefined}}>
+                                        <span className="flex gap-1 mb-1"><span className="w-4 h-4 rounded-full" style={{backgroundColor: swatch.surface}}/><span className="w-4 h-4 rounded-full" style={{backgroundColor: swatch.accent}}/></span>
+                                        {t('themeNames', id)}
+                                    </button>;
+                                })}</div>
+                            </div>
+                            <div><p className="font-semibold mb-1">{t('customPalette')}</p>
+                                <p className="text-sm opacity-60 mb-2">{t('customPaletteHint')}</p>
+                                <div className="space-y-2">{PALETTE_ROLES.map(role => <label key={role} className="flex items-center justify-between gap-2 text-sm">
+                                    <span>{t('paletteRoles', role)}</span>
+                                    <span className="flex items-center gap-2">
+                                        <input type="text" value={themeDialog.drafts[role] ?? editing[role]} onChange={e => updateCustomColor(role, e.target.value)} spellCheck={false} className="w-24 rounded px-2 py-1 bg-black/20 font-mono focus:outline-none"/>
+                                        <input type="color" value={editing[role]} onChange={e => updateCustomColor(role, e.target.value)} className="w-10 h-8 rounded bg-transparent cursor-pointer"/>
+                                    </span>
+                                </label>)}</div>
+                            </div>
+                            <div><p className="font-semibold mb-2">{t('contrastChecks')}</p>
+                                {checks.map(check => <div key={check.id} className="flex items-center justify-between gap-2 text-sm py-1">
+                                    <span className="flex items-center gap-2"><span className="px-2 rounded font-semibold" style={{backgroundColor: editing[check.bg], color: editing[check.fg]}}>Aa</span>{t('contrastRule', check.id)}</span>
+                                    <span className={check.pass ? 'opacity-70' : 'text-yellow-400'}>{t('contrastRatio', Math.floor(check.ratio * 10) / 10, check.min)}{check.pass ? <Check size={14} className="inline ml-1"/> : ` · ${t('contrastAdjusted')}`}</span>
+                                </div>)}
+                                {custom && checks.some(check => !check.pass) && <button onClick={applyPaletteCorrections} className="mt-2 px-3 py-1 rounded-lg text-sm" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('applyCorrections')}</button>}
+                            </div>
+                            <p className="text-sm opacity-60">{t(user.isLocal ? 'themeLocalHint' : 'themeSyncHint')}</p>
+                        </div>
+                        <div className="flex justify-end"><button onClick={closeThemeDialog} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('done')}</button></div>
+                    </div>
+                </div>);
+            })()}
+
+            {encryptionDialog && (() => {
+                const { progress } = encryptionDialog;
+                const running = progress && !progress.finished && !progress.error;
+                const blockedOffline = baseStorage.requiresNetwork && !isOnline;
+                return (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="rounded-lg p-6 max-w-md w-full shadow-2xl" style={{backgroundColor: subtleBgColor, color: textColor}}>
+                        <h3 className="text-xl font-bold mb-4 flex items-center gap-2"><ShieldCheck size={20}/>{t('encryptionTitle')}</h3>
+                        <p className="text-sm opacity-80 mb-4">{t('encryptionIntro')}</p>
+                        {encryptionStatus === 'off' ? (<>
+                            <p className="text-sm text-yellow-400 mb-4">{t('encryptionWarning')}</p>
+                            <div className="flex flex-col gap-3 mb-4">
+                                <input type="password" autoComplete="new-password" placeholder={t('passphrase')} value={encryptionDialog.passphrase} disabled={encryptionDialog.busy} onChange={e => setEncryptionDialog(d => ({ ...d, passphrase: e.target.value }))} className="rounded px-3 py-2 bg-black/20 focus:outline-none"/>
+                                <input type="password" autoComplete="new-password" placeholder={t('confirmPassphrase')} value={encryptionDialog.confirm} disabled={encryptionDialog.busy} onChange={e => setEncryptionDialog(d => ({ ...d, confirm: e.target.value }))} className="rounded px-3 py-2 bg-black/20 focus:outline-none"/>
+                            </div>
+                            {blockedOffline && <p className="text-sm text-yellow-400 mb-4">{t('encryptionOffline')}</p>}
+                        </>) : <p className="mb-4">{t('encryptionOn')}</p>}
+                        {encryptionDialog.error && <p className="text-sm text-red-400 mb-4">{encryptionDialog.error}</p>}
+                        {progress && <div className="mb-4">
+                            <div className="h-2 rounded-full bg-black/20 overflow-hidden"><div className="h-full transition-all" style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%`, backgroundColor: accentColor }}/></div>
+                            <p className="text-sm mt-2 opacity-80">{progress.error ? t('encryptionFailed', progress.error) : progress.finished ? t('encryptionDone') : t('encryptionProgress', progress.done, progress.total)}</p>
+                        </div>}
+                        <div className="flex flex-wrap justify-end gap-3">
+                            <button onClick={() => setEncryptionDialog(null)} disabled={running || encryptionDialog.busy} className="px-4 py-2 rounded-lg transition-opacity hover:opacity-80 disabled:opacity-40" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('close')}</button>
+                            {encryptionStatus === 'off' && <button onClick={enableEncryption} disabled={encryptionDialog.busy || blockedOffline || !encryptionDialog.passphrase || !fullHistoryLoaded} className="flex items-center gap-2 px-4 py-2 rounded-lg transition-opacity hover:opacity-80 disabled:opacity-40 font-semibold" style={{backgroundColor: accentColor, color: accentTextColor}}><Lock size={16}/>{t('enableEncryption')}</button>}
+                            {encryptionStatus === 'on' && !running && unencryptedNotes.length > 0 && <button onClick={() => encryptNotes(storage, unencryptedNotes)} className="px-4 py-2 rounded-lg transition-opacity hover:opacity-80 font-semibold" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('encryptRemaining', unencryptedNotes.length)}</button>}
+                            {encryptionStatus === 'on' && !running && <button onClick={lockDiary} className="flex items-center gap-2 px-4 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor, color: accentTextColor}}><Lock size={16}/>{t('lockNow')}</button>}
+                        </div>
+                    </div>
+                </div>);
+            })()}
+
+            {exportDialog && (() => {
+                const selectionCount = exportSelection().length;
+                const exportReady = exportDialog.scope === 'node' ? isNodeLoaded(exportDialog.node) : fullHistoryLoaded;
+                const nodeLabel = exportDialog.node && (exportDialog.node.type === 'month' ? monthYear(exportDialog.node.year, exportDialog.node.month, langCode) : exportDialog.node.year);
+                const scopes = ['all', 'range', ...(searchTerm.trim() ? ['search'] : []), ...(exportDialog.node ? ['node'] : [])];
+                const scopeLabel = scope => ({ all: t('exportScopeAll'), range: t('exportScopeRange'), search: t('exportScopeSearch', searchTerm), node: t('exportScopeNode', nodeLabel) })[scope];
+                return (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="rounded-lg p-6 max-w-md w-full shadow-2xl" style={{backgroundColor: subtleBgColor, color: textColor}}>
+                        <h3 className="text-xl font-bold mb-4">{t('exportTitle')}</h3>
+                        <fieldset className="mb-4"><legend className="font-semibold mb-2">{t('exportFormatLabel')}</legend>
+                            {Object.keys(EXPORT_FORMATS).map(format => <label key={format} className="flex items-center gap-2 py-1"><input type="radio" name="export-format" checked={exportDialog.format === format} onChange={() => setExportDialog(d => ({ ...d, format }))}/>{t('exportFormat', format)}</label>)}
+                        </fieldset>
+                        <fieldset className="mb-4"><legend className="font-semibold mb-2">{t('exportScopeLabel')}</legend>
+                            {scopes.map(scope => <label key={scope} className="flex items-center gap-2 py-1"><input type="radio" name="export-scope" checked={exportDialog.scope === scope} onChange={() => setExportDialog(d => ({ ...d, scope }))}/>{scopeLabel(scope)}</label>)}
+                            {exportDialog.scope === 'range' && <div className="flex flex-wrap gap-4 mt-2 pl-6 text-sm">
+                                <label className="flex items-center gap-2">{t('exportFrom')}<input type="date" value={exportDialog.from} onChange={e => setExportDialog(d => ({ ...d, from: e.target.value }))} className="rounded px-2 py-1 bg-black/20"/></label>
+                                <label className="flex items-center gap-2">{t('exportTo')}<input type="date" value={exportDialog.to} onChange={e => setExportDialog(d => ({ ...d, to: e.target.value }))} className="rounded px-2 py-1 bg-black/20"/></label>
+                            </div>}
+                        </fieldset>
+                        <p className="text-sm opacity-70 mb-6">{exportReady ? t('exportCount', selectionCount) : t('loadingNotes')}</p>
+                        <div className="flex flex-wrap justify-end gap-3">
+                            <button onClick={() => setExportDialog(null)} className="px-4 py-2 rounded-lg transition-opacity hover:opacity-80" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('cancel')}</button>
+                            {exportDialog.format === 'html' && <button onClick={() => handleExport(true)} disabled={!exportReady || selectionCount === 0} className="flex items-center gap-2 px-4 py-2 rounded-lg transition-opacity hover:opacity-80 disabled:opacity-40" style={{backgroundColor: accentColor, color: accentTextColor}}><Printer size={16}/>{t('exportPrint')}</button>}
+                            <button onClick={() => handleExport()} disabled={!exportReady || selectionCount === 0} className="flex items-center gap-2 px-4 py-2 rounded-lg transition-opacity hover:opacity-80 disabled:opacity-40 font-semibold" style={{backgroundColor: accentColor, color: accentTextColor}}><FileDown size={16}/>{t('download')}</button>
+                        </div>
+                    </div>
+                </div>);
+            })()}
+
+            {importPreview && (() => {
+                const toCreate = importPreview.entries.filter(e => !(importPreview.skipDuplicates && e.duplicate));
+                const duplicates = importPreview.entries.filter(e => e.duplicate).length;
+                const blockedOffline = storage.requiresNetwork && !isOnline;
+                return (<div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="rounded-lg p-6 max-w-lg w-full shadow-2xl flex flex-col max-h-[90vh]" style={{backgroundColor: subtleBgColor, color: textColor}}>
+                        <h3 className="text-xl font-bold mb-1">{t('importTitle')}</h3>
+                        <p className="opacity-70 text-sm mb-4">{importPreview.fileName} · {t('importFormat', importPreview.format)}</p>
+                        <p className="mb-3">{importPreview.checked ? t('importSummary', importPreview.entries.length - duplicates, duplicates, importPreview.skipped) : t('loadingNotes')}</p>
+                        {duplicates > 0 && <label className="flex items-center gap-2 mb-3 text-sm"><input type="checkbox" checked={importPreview.skipDuplicates} disabled={!!importProgress} onChange={e => setImportPreview(p => ({ ...p, skipDuplicates: e.target.checked }))}/>{t('importSkipDuplicates')}</label>}
+                        <div className="overflow-y-auto flex-grow space-y-2 mb-4 pr-1">
+                            {importPreview.entries.slice(0, 50).map((entry, i) => (<div key={i} className={`p-2 rounded text-sm bg-black/10 ${entry.duplicate && importPreview.skipDuplicates ? 'opacity-40' : ''}`}>
+                                <div className="flex items-center justify-between gap-2 opacity-60 text-xs mb-1"><span>{formatDateTime(entry.timestamp, langCode)}</span>{entry.duplicate && <span className="px-2 rounded-full bg-yellow-500/30">{t('importDuplicate')}</span>}</div>
+                                <p className="whitespace-pre-wrap line-clamp-3">{entry.text}</p>
+                            </div>))}
+                            {importPreview.entries.length > 50 && <p className="text-sm opacity-60 text-center">{t('importMore', importPreview.entries.length - 50)}</p>}
+                        </div>
+                        {importProgress && <div className="mb-4">
+                            <div className="h-2 rounded-full bg-black/20 overflow-hidden"><div className="h-full transition-all" style={{ width: `${importProgress.total ? (importProgress.done / importProgress.total) * 100 : 100}%`, backgroundColor: accentColor }}/></div>
+                            <p className="text-sm mt-2 opacity-80">{importProgress.error ? t('importFailed', importProgress.error) : importProgress.finished ? t('importDone', importProgress.done) : t('importProgress', importProgress.done, importProgress.total)}</p>
+                        </div>}
+                        {blockedOffline && !importProgress && <p className="text-sm text-yellow-400 mb-4">{t('importOffline')}</p>}
+                        <div className="flex justify-end gap-4">
+                            <button onClick={closeImport} disabled={importProgress && !importProgress.finished && !importProgress.error} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80 disabled:opacity-40" style={{backgroundColor: accentColor, color: accentTextColor}}>{importProgress?.finished ? t('close') : t('cancel')}</button>
+                            {!importProgress && <button onClick={runImport} disabled={!importPreview.checked || toCreate.length === 0 || blockedOffline} className="px-6 py-2 rounded-lg transition-opacity hover:opacity-80 disabled:opacity-40 font-semibold" style={{backgroundColor: accentColor, color: accentTextColor}}>{t('importConfirm', toCreate.length)}</button>}
+                        </div>
+                    </div>
+                </div>);
+            })()}
         </div>
     );
 }
@@ -0,0 +1,38 @@
+// --- Audio Clip Recorder ---
+// Captures the microphone alongside speech recognition so every voice note keeps its source audio.
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+export const audioCaptureSupported = typeof window !== 'undefined' && 'MediaRecorder' in window && !!navigator.mediaDevices?.getUserMedia;
+
+const pickMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+// Resolves to a recorder whose `cut()` ends the current clip and starts the next one on the same
+// stream (used when "save note" is spoken mid-dictation), and whose `stop()` ends it and frees the mic.
+export const startClipRecorder = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const mimeType = pickMimeType();
+    let recorder, chunks, startedAt;
+
+    const begin = () => {
+        chunks = [];
+        startedAt = Date.now();
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+        recorder.start();
+    };
+
+    const finish = () => new Promise((resolve) => {
+        const current = recorder, currentChunks = chunks, currentStart = startedAt;
+        current.onstop = () => {
+            const blob = new Blob(currentChunks, { type: current.mimeType || mimeType || 'audio/webm' });
+            resolve(blob.size > 0 ? { blob, mimeType: blob.type, size: blob.size, durationMs: Date.now() - currentStart } : null);
+        };
+        current.stop();
+    });
+
+    begin();
+    return {
+        cut: async () => { const clip = await finish(); begin(); return clip; },
+        stop: async () => { const clip = await finish(); stream.getTracks().forEach(track => track.stop()); return clip; }
+    };
+};
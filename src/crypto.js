@@ -0,0 +1,70 @@
+// --- End-to-End Encryption ---
+// A passphrase is stretched with PBKDF2 into an AES-GCM key that never leaves the browser.
+// Only the salt and a verifier (a known value encrypted with the key) are stored with the account.
+const ITERATIONS = 310000;
+const VERIFIER_TEXT = 'my-life-diary';
+const encoder = new TextEncoder(), decoder = new TextDecoder();
+
+// Built in slices so long notes don't exceed the engine's argument limit.
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+};
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+// Encrypted values are stored as { __enc: 1, iv, ct } in place of the plain value.
+export const isEncrypted = value => !!value && typeof value === 'object' && value.__enc === 1;
+
+export const encryptValue = async (key, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+    return { __enc: 1, iv: toBase64(iv), ct: toBase64(ct) };
+};
+
+export const decryptValue = async (key, envelope) => {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.ct));
+    return JSON.parse(decoder.decode(plain));
+};
+
+// Blobs are stored as the 12-byte IV followed by the ciphertext. The original type is kept on the
+// encrypted blob so it survives the round trip through storage.
+export const encryptBlob = async (key, blob) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+    return new Blob([iv, ct], { type: blob.type });
+};
+
+export const decryptBlob = async (key, blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+    return new Blob([plain], { type: blob.type });
+};
+
+export const createEncryptionKey = async (passphrase) => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    const meta = { version: 1, kdf: 'PBKDF2-SHA256', iterations: ITERATIONS, salt: toBase64(salt), verifier: await encryptValue(key, VERIFIER_TEXT), createdAt: Date.now() };
+    return { key, meta };
+};
+
+// Rejects with code 'wrong-passphrase' when the verifier does not decrypt.
+export const unlockEncryptionKey = async (passphrase, meta) => {
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+        if (await decryptValue(key, meta.verifier) === VERIFIER_TEXT) return key;
+    } catch (e) { /* falls through to the error below */ }
+    throw Object.assign(new Error('Wrong passphrase'), { code: 'wrong-passphrase' });
+};
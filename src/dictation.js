@@ -0,0 +1,112 @@
+// --- Dictation & Voice Commands ---
+// Final speech results are folded into the running transcript here. Spoken commands are
+// replaced by punctuation or layout, or trigger an action such as saving the note.
+// `endOnly` commands are everyday words too ("point de vue"), so they only count at the end of a phrase.
+// "hashtag <word>" (the same word in every supported language) becomes "#word" so tags can be dictated.
+import { escapeRegExp } from './tags.js';
+
+// Commands follow the dictation language, not the UI language; other languages get the English set.
+const COMMANDS = {
+    en: [
+        { phrase: 'new paragraph', insert: '\n\n' },
+        { phrase: 'new line', insert: '\n' },
+        { phrase: 'question mark', punct: '?' },
+        { phrase: 'exclamation mark', punct: '!' },
+        { phrase: 'exclamation point', punct: '!' },
+        { phrase: 'full stop', punct: '.' },
+        { phrase: 'period', punct: '.', endOnly: true },
+        { phrase: 'comma', punct: ',' },
+        { phrase: 'delete last sentence', action: 'deleteSentence' },
+        { phrase: 'save note', action: 'save' }
+    ],
+    fr: [
+        { phrase: 'nouveau paragraphe', insert: '\n\n' },
+        { phrase: 'nouvelle ligne', insert: '\n' },
+        { phrase: 'à la ligne', insert: '\n' },
+        { phrase: "point d'interrogation", punct: '?' },
+        { phrase: "point d'exclamation", punct: '!' },
+        { phrase: 'point final', punct: '.' },
+        { phrase: 'point', punct: '.', endOnly: true },
+        { phrase: 'virgule', punct: ',' },
+        { phrase: 'supprimer la dernière phrase', action: 'deleteSentence' },
+        { phrase: 'efface la dernière phrase', action: 'deleteSentence' },
+        { phrase: 'enregistrer la note', action: 'save' },
+        { phrase: 'sauvegarder la note', action: 'save' }
+    ],
+    es: [
+        { phrase: 'nuevo párrafo', insert: '\n\n' },
+        { phrase: 'nueva línea', insert: '\n' },
+        { phrase: 'punto y aparte', insert: '.\n' },
+        { phrase: 'signo de interrogación', punct: '?' },
+        { phrase: 'signo de exclamación', punct: '!' },
+        { phrase: 'punto final', punct: '.' },
+        { phrase: 'punto', punct: '.', endOnly: true },
+        { phrase: 'coma', punct: ',' },
+        { phrase: 'borrar la última frase', action: 'deleteSentence' },
+        { phrase: 'guardar la nota', action: 'save' }
+    ],
+    de: [
+        { phrase: 'neuer Absatz', insert: '\n\n' },
+        { phrase: 'neue Zeile', insert: '\n' },
+        { phrase: 'Fragezeichen', punct: '?' },
+        { phrase: 'Ausrufezeichen', punct: '!' },
+        { phrase: 'Punkt', punct: '.', endOnly: true },
+        { phrase: 'Komma', punct: ',' },
+        { phrase: 'letzten Satz löschen', action: 'deleteSentence' },
+        { phrase: 'Notiz speichern', action: 'save' }
+    ]
+};
+
+// Longest phrases first so "point d'interrogation" wins over "point".
+const commandPatterns = Object.fromEntries(Object.entries(COMMANDS).map(([lang, commands]) => {
+    const sorted = [...commands].sort((a, b) => b.phrase.length - a.phrase.length);
+    const alternation = sorted.map(c => escapeRegExp(c.phrase).replace(/'/g, "['’]")).join('|');
+    return [lang, { commands: sorted, regex: new RegExp(`(^|\\s)(${alternation})(?=[\\s.,!?]|$)`, 'giu') }];
+}));
+
+const normalizePhrase = s => s.toLowerCase().replace(/’/g, "'");
+const endsSentence = text => text.trim() === '' || /[.!?]\s*$|\n\s*$/.test(text);
+const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+const appendWords = (text, words) => {
+    const trimmed = words.trim();
+    if (!trimmed) return text;
+    const chunk = endsSentence(text) ? capitalize(trimmed) : trimmed;
+    if (text === '' || /\s$/.test(text)) return text + chunk;
+    return `${text} ${chunk}`;
+};
+
+export const deleteLastSentence = (text) => {
+    const body = text.replace(/[\s.!?]+$/, '');
+    const cut = Math.max(body.lastIndexOf('.'), body.lastIndexOf('!'), body.lastIndexOf('?'), body.lastIndexOf('\n'));
+    return cut === -1 ? '' : body.slice(0, cut + 1);
+};
+
+// Returns the new transcript and whether a "save note" command was spoken in this chunk.
+export const applyDictation = (text, rawChunk, lang = 'en') => {
+    const { commands, regex } = commandPatterns[lang] || commandPatterns.en;
+    const chunk = rawChunk.replace(/(^|\s)hash ?tag\s+(\S+)/giu, '$1#$2');
+    let result = text, save = false, last = 0;
+    const matches = [...chunk.matchAll(regex)];
+    const applyCommand = (command) => {
+        if (command.insert) result = result.replace(/[ \t]+$/, '') + command.insert;
+        if (command.punct) {
+            // Only spaces are trimmed so a spoken line break survives; a mark already there isn't doubled.
+            const trimmed = result.replace(/[ \t]+$/, '');
+            result = (trimmed.endsWith(command.punct) ? trimmed : trimmed + command.punct) + ' ';
+        }
+        if (command.action === 'deleteSentence') result = deleteLastSentence(result);
+        if (command.action === 'save') save = true;
+    };
+    matches.forEach(match => {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length;
+        const command = commands.find(c => normalizePhrase(c.phrase) === normalizePhrase(match[2]));
+        if (command.endOnly && chunk.slice(end).trim() !== '') return;
+        result = appendWords(result, chunk.slice(last, start));
+        applyCommand(command);
+        last = end;
+    });
+    result = appendWords(result, chunk.slice(last));
+    return { text: result, save };
+};
@@ -0,0 +1,36 @@
+// --- Word Diff ---
+// Longest-common-subsequence diff over words (whitespace is kept as its own token so the
+// output reads back exactly). Returns runs of { type: 'same' | 'added' | 'removed', text }.
+const MAX_CELLS = 4000000;
+
+const tokenize = text => text.split(/(\s+)/).filter(Boolean);
+
+const pushRun = (runs, type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += text;
+    else runs.push({ type, text });
+};
+
+export const diffWords = (before, after) => {
+    const a = tokenize(before), b = tokenize(after);
+    // Very long entries would need a huge table; show them as a plain replacement instead.
+    if (a.length * b.length > MAX_CELLS) return [{ type: 'removed', text: before }, { type: 'added', text: after }].filter(r => r.text);
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const runs = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { pushRun(runs, 'same', a[i]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) pushRun(runs, 'removed', a[i++]);
+        else pushRun(runs, 'added', b[j++]);
+    }
+    while (i < a.length) pushRun(runs, 'removed', a[i++]);
+    while (j < b.length) pushRun(runs, 'added', b[j++]);
+    return runs;
+};
@@ -0,0 +1,140 @@
+import { BACKUP_FORMAT } from './importer.js';
+import { markdownToHtml, escapeHtml } from './markdown.js';
+
+// --- Export Formats ---
+// Every format takes notes in chronological order and returns file contents as a string.
+// Dates in the data itself are always ISO; localized names only appear in headings meant for reading.
+const EXCLUDED_FIELDS = ['id', 'text', 'timestamp', 'audioBlob', 'pending', 'needsEncryption', 'decryptError'];
+
+const pad = n => String(n).padStart(2, '0');
+const isoDate = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const isoTime = d => `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+
+// Nests notes as years -> months -> days, all in ascending order.
+export const groupByDay = (notes) => {
+    const years = [];
+    notes.forEach(note => {
+        const d = note.timestamp.toDate();
+        let year = years[years.length - 1];
+        if (!year || year.year !== d.getFullYear()) years.push(year = { year: d.getFullYear(), months: [] });
+        let month = year.months[year.months.length - 1];
+        if (!month || month.month !== d.getMonth()) year.months.push(month = { month: d.getMonth(), date: d, days: [] });
+        let day = month.days[month.days.length - 1];
+        if (!day || day.date.getDate() !== d.getDate()) month.days.push(day = { date: d, notes: [] });
+        day.notes.push(note);
+    });
+    return years;
+};
+
+export const toJsonBackup = (notes) => JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    notes: notes.map(note => ({
+        id: note.id,
+        text: note.text,
+        timestamp: note.timestamp.toDate().toISOString(),
+        ...Object.fromEntries(Object.entries(note).filter(([key]) => !EXCLUDED_FIELDS.includes(key)))
+    }))
+}, null, 2);
+
+const escapeCsvCell = (cell) => {
+    if (cell.includes(',') || cell.includes('"') || cell.includes('\n')) return `"${cell.replace(/"/g, '""')}"`;
+    return cell;
+};
+
+export const toCsv = (notes) => {
+    const csvRows = [["Date", "Time", "Note"].join(',')];
+    notes.forEach(note => {
+        const date = note.timestamp.toDate();
+        csvRows.push([isoDate(date), isoTime(date), escapeCsvCell(note.text)].join(','));
+    });
+    return csvRows.join('\n');
+};
+
+// Day and time headings are written so the importer can read the journal back.
+export const toMarkdown = (notes, langCode, title) => {
+    const lines = [`# ${title}`, ''];
+    groupByDay(notes).forEach(({ year, months }) => {
+        lines.push(`## ${year}`, '');
+        months.forEach(({ date, days }) => {
+            lines.push(`### ${date.toLocaleString(langCode, { month: 'long', year: 'numeric' })}`, '');
+            days.forEach(day => {
+                lines.push(`#### ${day.date.toLocaleDateString(langCode, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`, '');
+                day.notes.forEach(note => {
+                    lines.push(`##### ${note.timestamp.toDate().toLocaleTimeString(langCode, { hour: '2-digit', minute: '2-digit' })}`, '', note.text, '');
+                });
+            });
+        });
+    });
+    return lines.join('\n');
+};
+
+// A self-contained page laid out like a book: title page, then one page per month.
+export const toHtmlBook = (notes, langCode, title) => {
+    const first = notes[0]?.timestamp.toDate(), last = notes[notes.length - 1]?.timestamp.toDate();
+    const span = first ? `${first.toLocaleDateString(langCode, { dateStyle: 'long' })} – ${last.toLocaleDateString(langCode, { dateStyle: 'long' })}` : '';
+    const months = groupByDay(notes).flatMap(({ months }) => months).map(({ date, days }) => `
+    <section class="month">
+        <h2>${escapeHtml(date.toLocaleString(langCode, { month: 'long', year: 'numeric' }))}</h2>
+        ${days.map(day => `<article>
+            <h3>${escapeHtml(day.date.toLocaleDateString(langCode, { weekday: 'long', day: 'numeric', month: 'long' }))}</h3>
+            ${day.notes.map(note => `<div class="entry"><time datetime="${note.timestamp.toDate().toISOString()}">${escapeHtml(note.timestamp.toDate().toLocaleTimeString(langCode, { hour: '2-digit', minute: '2-digit' }))}</time>${markdownToHtml(note.text)}</div>`).join('\n            ')}
+        </article>`).join('\n        ')}
+    </section>`).join('');
+    return `<!doctype html>
+<html lang="${langCode}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { margin: 2cm; }
+    body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 42rem; margin: 0 auto; padding: 2rem; line-height: 1.6; }
+    .cover { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; text-align: center; page-break-after: always; }
+    .cover h1 { font-size: 2.5rem; margin-bottom: 0.5rem; }
+    .month { page-break-before: always; }
+    h2 { border-bottom: 1px solid #999; padding-bottom: 0.25rem; }
+    h3 { margin-bottom: 0.25rem; color: #555; }
+    .entry { margin: 0 0 1rem; page-break-inside: avoid; }
+    time { font-size: 0.85rem; color: #777; }
+    p { margin: 0.25rem 0 0; }
+    .entry ul, .entry ol { margin: 0.25rem 0 0; padding-left: 1.5rem; }
+    .entry h4, .entry h5, .entry h6 { margin: 0.5rem 0 0; }
+</style>
+</head>
+<body>
+    <div class="cover"><h1>${escapeHtml(title)}</h1><p>${escapeHtml(span)}</p></div>${months}
+</body>
+</html>
+`;
+};
+
+export const downloadFile = (content, fileName, type) => {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+export const printHtml = (html) => {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+    return true;
+};
+
+export const EXPORT_FORMATS = {
+    json: { extension: 'json', type: 'application/json;charset=utf-8;', build: notes => toJsonBackup(notes) },
+    markdown: { extension: 'md', type: 'text/markdown;charset=utf-8;', build: toMarkdown },
+    html: { extension: 'html', type: 'text/html;charset=utf-8;', build: toHtmlBook },
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8;', build: notes => toCsv(notes) }
+};
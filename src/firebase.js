@@ -0,0 +1,42 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { 
+    initializeFirestore, 
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    connectFirestoreEmulator
+} from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+// --- Firebase Configuration ---
+// VITE_FIREBASE_EMULATOR_HOST (e.g. "localhost") points Auth, Firestore and Storage at the local emulator suite.
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST;
+
+let firebaseConfig, configError = null;
+try {
+    const configString = import.meta.env.VITE_FIREBASE_CONFIG;
+    if (!configString) throw new Error("VITE_FIREBASE_CONFIG not in Vercel.");
+    firebaseConfig = JSON.parse(configString);
+} catch (e) {
+    if (typeof __firebase_config !== 'undefined') {
+        try { firebaseConfig = JSON.parse(__firebase_config); } catch (parseError) { configError = "Could not parse Firebase config (preview)."; }
+    } else if (emulatorHost) {
+        // "demo-" projects are emulator-only and need no real credentials.
+        firebaseConfig = { apiKey: "demo", authDomain: `${emulatorHost}`, projectId: "demo-my-life-diary", storageBucket: "demo-my-life-diary.appspot.com" };
+    } else { configError = "Could not load Firebase configuration."; }
+}
+if (!firebaseConfig) firebaseConfig = { apiKey: "error", authDomain: "error", projectId: "error" };
+
+export { configError };
+export const isPreview = typeof __firebase_config !== 'undefined';
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+// The persistent cache lets the last synced notes load without a connection.
+export const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+export const bucket = getStorage(app);
+
+if (emulatorHost) {
+    connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+    connectFirestoreEmulator(db, emulatorHost, 8080);
+    connectStorageEmulator(bucket, emulatorHost, 9199);
+}
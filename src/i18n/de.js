@@ -0,0 +1,209 @@
+// --- German Messages ---
+import { plural, formatNumber, formatDate, monthYear } from './format.js';
+
+const count = (n, forms) => plural('de', n, forms);
+const number = n => formatNumber(n, 'de');
+const date = value => formatDate(value, 'de');
+
+export default {
+    signInSubtitle: "Dein persönliches Tagebuch mit Spracheingabe.",
+    signInButton: "Mit Google anmelden",
+    installApp: "App installieren",
+    download: "Herunterladen",
+    deleteAll: "Alle löschen",
+    signOut: "Abmelden",
+    searchPlaceholder: "Notizen durchsuchen...",
+    searchHelp: 'Wörter werden ohne Akzente und Groß-/Kleinschreibung gefunden. Nutze "genaue Phrase", -ausschließen, tag:name, before:2024-03-01, after:2023, on:2024-05.',
+    today: "Heute",
+    noNotesToday: "Noch keine Einträge für heute. Halte das Mikrofon gedrückt, um deine Gedanken aufzunehmen!",
+    noNotesTodayContinuous: "Noch keine Einträge für heute. Tippe auf das Mikrofon, um deine Gedanken aufzunehmen!",
+    holdToTalk: "Zum Sprechen gedrückt halten",
+    tapToToggle: "Zum Starten und Stoppen tippen",
+    listening: "Höre zu...",
+    keepAudioOn: "Audioaufnahmen werden behalten",
+    keepAudioOff: "Audioaufnahmen werden nicht behalten",
+    playRecording: "Aufnahme abspielen",
+    audioUnavailable: "Aufnahme nicht verfügbar",
+    retranscribe: "Aufnahme erneut transkribieren",
+    transcribing: "Transkribiere...",
+    deleteAudio: "Aufnahme löschen, Text behalten",
+    importData: "Importieren",
+    importTitle: "Notizen importieren",
+    importFormat: (format) => ({ csv: "CSV-Download", json: "JSON-Sicherung", markdown: "Markdown-/Text-Tagebuch" })[format],
+    importSummary: (create, duplicates, skipped) => `${create} neu, ${duplicates} doppelt, ${skipped} unlesbar`,
+    importSkipDuplicates: "Duplikate überspringen",
+    importDuplicate: "Duplikat",
+    importMore: (n) => `…und ${number(n)} weitere`,
+    importConfirm: (n) => `${count(n, { one: '{n} Notiz', other: '{n} Notizen' })} importieren`,
+    importProgress: (done, total) => `Speichere ${number(done)} von ${number(total)}...`,
+    importDone: (n) => `${count(n, { one: '{n} Notiz', other: '{n} Notizen' })} importiert.`,
+    importFailed: (msg) => `Import fehlgeschlagen: ${msg}`,
+    importOffline: "Verbinde dich mit dem Internet, um in dein Konto zu importieren.",
+    close: "Schließen",
+    exportTitle: "Notizen exportieren",
+    exportFormatLabel: "Format",
+    exportFormat: (format) => ({ json: "JSON-Sicherung (verlustfrei)", markdown: "Markdown-Tagebuch", html: "Druckbares Buch (HTML)", csv: "CSV-Tabelle" })[format],
+    exportScopeLabel: "Enthaltene Notizen",
+    exportScopeAll: "Alle Notizen",
+    exportScopeRange: "Zeitraum",
+    exportScopeSearch: (term) => `Aktuelle Suchergebnisse („${term}“)`,
+    exportScopeNode: (label) => `Nur ${label}`,
+    exportFrom: "Von",
+    exportTo: "Bis",
+    exportCount: (n) => `${count(n, { one: '{n} Notiz', other: '{n} Notizen' })} ausgewählt`,
+    exportPrint: "Drucken / Als PDF speichern",
+    exportBookTitle: "Mein Lebenstagebuch",
+    popupBlocked: "Erlaube Pop-ups für diese Seite, um das Buch zu drucken.",
+    trash: "Papierkorb",
+    trashEmpty: "Der Papierkorb ist leer.",
+    trashHint: (days) => days ? `Notizen im Papierkorb werden nach ${count(days, { one: '{n} Tag', other: '{n} Tagen' })} endgültig gelöscht.` : "Notizen bleiben im Papierkorb, bis du ihn leerst.",
+    trashRetention: "Gelöschte Notizen behalten für",
+    trashRetentionDays: (days) => days ? count(days, { one: '{n} Tag', other: '{n} Tage' }) : "Immer",
+    emptyTrash: "Papierkorb leeren",
+    restore: "Wiederherstellen",
+    deleteForever: "Endgültig löschen",
+    deletedOn: (deletedAt) => `Gelöscht am ${date(deletedAt)}`,
+    movedToTrash: (n) => count(n, { one: 'Notiz in den Papierkorb verschoben.', other: '{n} Notizen in den Papierkorb verschoben.' }),
+    undo: "Rückgängig",
+    backToDiary: "Zurück zum Tagebuch",
+    confirmEmptyTrash: (n) => `${count(n, { one: '{n} Notiz', other: '{n} Notizen' })} im Papierkorb endgültig löschen? Das kann nicht rückgängig gemacht werden.`,
+    editHistory: "Bearbeitungsverlauf",
+    currentVersion: "Aktuelle Version",
+    originalVersion: "Original",
+    sourceVoice: "Sprache",
+    sourceTyped: "Getippt",
+    revertToVersion: "Diese Version wiederherstellen",
+    editDetails: "Tags, Stimmung und Ort",
+    tagsLabel: "Tags",
+    addTagPlaceholder: "Tag eingeben und Enter drücken",
+    moodLabel: "Stimmung",
+    moodNames: (value) => ["", "Furchtbar", "Schlecht", "Okay", "Gut", "Großartig"][value],
+    locationLabel: "Ort",
+    locationPlaceholder: "Wo warst du?",
+    useCurrentLocation: "Aktuellen Standort verwenden",
+    clearLocation: "Ort entfernen",
+    manageTags: "Tags verwalten",
+    clearFilters: "Filter zurücksetzen",
+    renameTag: "Umbenennen oder zusammenführen",
+    renameTagHint: "Das Umbenennen in einen vorhandenen Tag führt beide in allen Notizen zusammen.",
+    noTags: "Noch keine Tags. Schreibe #etwas in eine Notiz, um einen hinzuzufügen.",
+    noMatchToday: "Keine passenden Notizen für heute gefunden.",
+    pastEntries: "Frühere Einträge",
+    loadingNotes: "Notizen werden geladen...",
+    calendar: "Kalender",
+    currentStreak: "Aktuelle Serie",
+    longestStreak: "Längste Serie",
+    streakDays: (n) => count(n, { one: '{n} Tag', other: '{n} Tage' }),
+    entriesOn: (day, n) => `${date(day)}: ${count(n, { one: '{n} Eintrag', other: '{n} Einträge' })}`,
+    previousPeriod: "Zurück",
+    nextPeriod: "Weiter",
+    statistics: "Statistik",
+    entriesPerWeek: "Einträge pro Woche",
+    wordsPerEntry: "Wörter pro Eintrag",
+    busiestTime: "Aktivste Tageszeit",
+    voiceVsTyped: "Sprache oder Tastatur",
+    lastWeeks: (n) => `Einträge der letzten ${number(n)} Wochen`,
+    entriesByHour: "Einträge nach Uhrzeit",
+    noStats: "Die Statistik erscheint, sobald du ein paar Einträge geschrieben hast.",
+    onThisDay: "An diesem Tag",
+    yearsAgo: (n) => count(n, { one: 'Vor einem Jahr', other: 'Vor {n} Jahren' }),
+    aMonthAgo: "Vor einem Monat",
+    noMemoriesToday: "Noch nichts von diesem Tag aus früheren Jahren.",
+    randomMemory: "Zufällige Erinnerung",
+    anotherMemory: "Noch eine",
+    backToOnThisDay: "Zurück zu diesem Tag",
+    includeMonthAgo: "Vor einem Monat einbeziehen",
+    memoryNotificationsOn: "Die tägliche Erinnerungsbenachrichtigung ist aktiv",
+    memoryNotificationsOff: "Täglich benachrichtigen, wenn es Erinnerungen gibt",
+    memoryNotificationTime: "Benachrichtigen um",
+    memoryNotificationYears: "Du hast an diesem Tag in {years} geschrieben.",
+    memoryNotificationMonthAgo: "Du hast an diesem Tag vor einem Monat geschrieben.",
+    notificationsBlocked: "Benachrichtigungen sind blockiert. Erlaube sie für diese Seite in den Browsereinstellungen.",
+    reminders: "Erinnerungen",
+    remindersEnabled: "Mich ans Schreiben erinnern",
+    reminderTimes: "Uhrzeiten",
+    addReminderTime: "Uhrzeit hinzufügen",
+    reminderDays: "Tage",
+    quietDays: "Ruhetage",
+    quietDaysHint: "Keine Erinnerungen zwischen diesen Daten, für Urlaub oder Pausen.",
+    addQuietDays: "Hinzufügen",
+    reminderSkipHint: "Die Erinnerungen eines Tages entfallen, sobald er einen Eintrag hat.",
+    reminderFallbackHint: "Dieser Browser kann Benachrichtigungen nicht im Voraus planen, daher kommen Erinnerungen, während die App geöffnet ist oder im Hintergrund läuft.",
+    reminderTitle: "Zeit für dein Tagebuch",
+    reminderBody: "Wie war dein Tag? Tippe, um einen Eintrag aufzunehmen.",
+    readyToRecord: (mode) => mode === 'continuous' ? "Bereit, wenn du es bist: Tippe auf das Mikrofon." : "Bereit, wenn du es bist: Halte das Mikrofon gedrückt.",
+    confirmDeletionTitle: "Löschen bestätigen",
+    confirmDeleteAll: "Möchtest du wirklich alle deine Notizen löschen? Sie werden in den Papierkorb verschoben.",
+    confirmDeleteYear: (year) => `Möchtest du wirklich alle Notizen aus ${year} löschen?`,
+    confirmDeleteMonth: (year, month) => `Möchtest du wirklich alle Notizen aus ${monthYear(year, month, 'de')} löschen?`,
+    cancel: "Abbrechen",
+    delete: "Löschen",
+    noNotesToDownload: "Keine Notizen zum Herunterladen.",
+    dbErrorPermission: "Zugriff verweigert: Deine Firestore-Sicherheitsregeln sind wahrscheinlich abgelaufen. Aktualisiere sie in der Firebase-Konsole, um den Zugriff zu erlauben.",
+    dbErrorGeneric: (msg) => `Datenbankfehler: ${msg}`,
+    pendingSync: "Synchronisierung ausstehend",
+    synced: "Synchronisiert",
+    offlineBanner: "Du bist offline. Neue Einträge werden auf diesem Gerät gespeichert und synchronisiert, sobald du wieder verbunden bist.",
+    useLocally: "Nur auf diesem Gerät verwenden",
+    useLocallyHint: "Kein Konto nötig. Die Notizen bleiben in diesem Browser und werden nicht synchronisiert.",
+    localMode: "Nur dieses Gerät",
+    leaveLocalMode: "Zu einem Konto wechseln",
+    encryption: "Verschlüsselung",
+    encryptionTitle: "Ende-zu-Ende-Verschlüsselung",
+    encryptionIntro: "Notiztexte, Tags, Orte, Bearbeitungsverlauf und neue Aufnahmen werden auf diesem Gerät mit einer Passphrase verschlüsselt, bevor sie gespeichert werden. Ohne die Passphrase kann niemand sie lesen, auch nicht der Server.",
+    encryptionWarning: "Wenn du die Passphrase vergisst, lassen sich deine Notizen nicht wiederherstellen.",
+    encryptionOn: "Die Verschlüsselung ist aktiv. Gib deine Passphrase auf jedem Gerät ein, um deine Notizen zu lesen.",
+    encryptionOffline: "Verbinde dich mit dem Internet, um die Verschlüsselung zu aktivieren.",
+    passphrase: "Passphrase",
+    confirmPassphrase: "Passphrase bestätigen",
+    passphraseTooShort: "Verwende mindestens 8 Zeichen.",
+    passphraseMismatch: "Die Passphrasen stimmen nicht überein.",
+    enableEncryption: "Verschlüsselung aktivieren",
+    encryptRemaining: (n) => `${count(n, { one: '{n} verbleibende Notiz', other: '{n} verbleibende Notizen' })} verschlüsseln`,
+    encryptionProgress: (done, total) => `Verschlüssele ${number(done)} von ${number(total)}...`,
+    encryptionDone: "Alle Notizen sind verschlüsselt.",
+    encryptionFailed: (msg) => `Verschlüsselung fehlgeschlagen: ${msg}`,
+    unlockTitle: "Dein Tagebuch ist gesperrt",
+    unlockSubtitle: "Gib deine Passphrase ein, um deine Notizen auf diesem Gerät zu entschlüsseln.",
+    unlock: "Entsperren",
+    unlocking: "Entsperre...",
+    lockNow: "Sperren",
+    wrongPassphrase: "Falsche Passphrase.",
+    cannotDecrypt: "Diese Notiz konnte nicht entschlüsselt werden.",
+    writeNote: "Notiz schreiben (N)",
+    composerPlaceholder: "Notiz tippen, einfügen oder diktieren...",
+    markdownWrite: "Schreiben",
+    markdownPreview: "Vorschau",
+    nothingToPreview: "Nichts anzuzeigen.",
+    markdownHint: "**fett**, *kursiv*, # Überschrift, - Liste, [Link](https://…) · Strg+Enter zum Speichern, Esc zum Abbrechen",
+    saveNote: "Notiz speichern",
+    saveShortcut: "Speichern (Strg+Enter)",
+    searchShortcut: "Drücke / oder Strg+K, um von überall zu suchen.",
+    loading: "Wird geladen...",
+    justNow: "Gerade eben",
+    dbErrorTitle: "Datenbankfehler!",
+    speechUnsupported: "Dieser Browser unterstützt keine Spracherkennung. Du kannst deine Notizen trotzdem tippen.",
+    speechError: (code) => ({
+        'not-allowed': "Der Zugriff auf das Mikrofon wurde verweigert.",
+        'service-not-allowed': "Spracherkennung ist hier nicht erlaubt.",
+        'audio-capture': "Es wurde kein Mikrofon gefunden.",
+        network: "Die Spracherkennung braucht eine Netzwerkverbindung.",
+        'language-not-supported': "Die Spracherkennung unterstützt die gewählte Diktiersprache nicht."
+    })[code] || `Fehler bei der Spracherkennung: ${code}`,
+    interfaceLanguage: "Sprache der Oberfläche",
+    dictationLanguage: "Diktiersprache",
+    theme: "Design",
+    themePresets: "Vorlagen",
+    themeNames: (id) => ({ system: "System", light: "Hell", dark: "Dunkel", slate: "Schiefer", ocean: "Ozean", forest: "Wald", rose: "Rosé", sepia: "Sepia", custom: "Eigene" })[id],
+    customPalette: "Eigene Farbpalette",
+    customPaletteHint: "Wenn du eine Farbe änderst, entsteht aus dem aktuellen Design eine eigene Palette.",
+    paletteRoles: (role) => ({ background: "Hintergrund", surface: "Karten und Felder", text: "Text", accent: "Akzent", accentText: "Text auf Akzent" })[role],
+    contrastChecks: "Kontrastprüfung",
+    contrastRule: (id) => ({ textOnBackground: "Text auf Hintergrund", textOnSurface: "Text auf Karten", accentOnBackground: "Akzent auf Hintergrund", accentTextOnAccent: "Text auf Akzent" })[id],
+    contrastRatio: (ratio, min) => `${formatNumber(ratio, 'de', { maximumFractionDigits: 1 })}:1 (min. ${number(min)}:1)`,
+    contrastAdjusted: "automatisch angepasst",
+    applyCorrections: "Korrekturen in die Palette übernehmen",
+    themeSyncHint: "Dein Design und deine Sprachen werden in deinem Konto gespeichert und gelten auch auf deinen anderen Geräten.",
+    themeLocalHint: "Im lokalen Modus werden Design und Sprachen nur auf diesem Gerät gespeichert.",
+    done: "Fertig"
+};
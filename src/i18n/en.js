@@ -0,0 +1,211 @@
+// --- English Messages ---
+// Messages are plain strings or functions of their arguments. Counts go through `count` so each
+// language applies its own plural rules; dates arrive as Date or millis and are formatted here.
+import { plural, formatNumber, formatDate, monthYear } from './format.js';
+
+const count = (n, forms) => plural('en', n, forms);
+const number = n => formatNumber(n, 'en');
+const date = value => formatDate(value, 'en');
+
+export default {
+    signInSubtitle: "Your personal voice-powered journal.",
+    signInButton: "Sign in with Google",
+    installApp: "Install App",
+    download: "Download",
+    deleteAll: "Delete All",
+    signOut: "Sign Out",
+    searchPlaceholder: "Search notes...",
+    searchHelp: 'Words match without accents or case. Use "exact phrase", -exclude, tag:name, before:2024-03-01, after:2023, on:2024-05.',
+    today: "Today",
+    noNotesToday: "No entries for today. Hold the mic to start recording your thoughts!",
+    noNotesTodayContinuous: "No entries for today. Tap the mic to start recording your thoughts!",
+    holdToTalk: "Hold to talk",
+    tapToToggle: "Tap to start and stop",
+    listening: "Listening...",
+    keepAudioOn: "Keeping audio recordings",
+    keepAudioOff: "Not keeping audio recordings",
+    playRecording: "Play recording",
+    audioUnavailable: "Recording unavailable",
+    retranscribe: "Transcribe the recording again",
+    transcribing: "Transcribing...",
+    deleteAudio: "Delete recording, keep text",
+    importData: "Import",
+    importTitle: "Import Notes",
+    importFormat: (format) => ({ csv: "CSV download", json: "JSON backup", markdown: "Markdown / text journal" })[format],
+    importSummary: (create, duplicates, skipped) => `${create} new, ${duplicates} duplicate, ${skipped} unreadable`,
+    importSkipDuplicates: "Skip duplicates",
+    importDuplicate: "Duplicate",
+    importMore: (n) => `…and ${number(n)} more`,
+    importConfirm: (n) => `Import ${count(n, { one: '{n} note', other: '{n} notes' })}`,
+    importProgress: (done, total) => `Saving ${number(done)} of ${number(total)}...`,
+    importDone: (n) => `${count(n, { one: '{n} note', other: '{n} notes' })} imported.`,
+    importFailed: (msg) => `Import failed: ${msg}`,
+    importOffline: "Connect to the internet to import into your account.",
+    close: "Close",
+    exportTitle: "Export Notes",
+    exportFormatLabel: "Format",
+    exportFormat: (format) => ({ json: "JSON backup (lossless)", markdown: "Markdown journal", html: "Printable book (HTML)", csv: "CSV spreadsheet" })[format],
+    exportScopeLabel: "Notes to include",
+    exportScopeAll: "All notes",
+    exportScopeRange: "Date range",
+    exportScopeSearch: (term) => `Current search results ("${term}")`,
+    exportScopeNode: (label) => `Only ${label}`,
+    exportFrom: "From",
+    exportTo: "To",
+    exportCount: (n) => `${count(n, { one: '{n} note', other: '{n} notes' })} selected`,
+    exportPrint: "Print / Save as PDF",
+    exportBookTitle: "My Life Diary",
+    popupBlocked: "Allow pop-ups for this site to print the book.",
+    trash: "Trash",
+    trashEmpty: "The trash is empty.",
+    trashHint: (days) => days ? `Notes in the trash are deleted forever after ${count(days, { one: '{n} day', other: '{n} days' })}.` : "Notes stay in the trash until you empty it.",
+    trashRetention: "Keep deleted notes for",
+    trashRetentionDays: (days) => days ? count(days, { one: '{n} day', other: '{n} days' }) : "Forever",
+    emptyTrash: "Empty trash",
+    restore: "Restore",
+    deleteForever: "Delete forever",
+    deletedOn: (deletedAt) => `Deleted ${date(deletedAt)}`,
+    movedToTrash: (n) => count(n, { one: 'Note moved to the trash.', other: '{n} notes moved to the trash.' }),
+    undo: "Undo",
+    backToDiary: "Back to diary",
+    confirmEmptyTrash: (n) => `Permanently delete ${count(n, { one: '{n} note', other: '{n} notes' })} in the trash? This action cannot be undone.`,
+    editHistory: "Edit history",
+    currentVersion: "Current version",
+    originalVersion: "Original",
+    sourceVoice: "Voice",
+    sourceTyped: "Typed",
+    revertToVersion: "Restore this version",
+    editDetails: "Tags, mood and place",
+    tagsLabel: "Tags",
+    addTagPlaceholder: "Add a tag and press Enter",
+    moodLabel: "Mood",
+    moodNames: (value) => ["", "Awful", "Bad", "Okay", "Good", "Great"][value],
+    locationLabel: "Place",
+    locationPlaceholder: "Where were you?",
+    useCurrentLocation: "Use current location",
+    clearLocation: "Remove place",
+    manageTags: "Manage tags",
+    clearFilters: "Clear filters",
+    renameTag: "Rename or merge",
+    renameTagHint: "Renaming to an existing tag merges the two across all notes.",
+    noTags: "No tags yet. Write #something in a note to add one.",
+    noMatchToday: "No matching notes found for today.",
+    pastEntries: "Past Entries",
+    loadingNotes: "Loading notes...",
+    calendar: "Calendar",
+    currentStreak: "Current streak",
+    longestStreak: "Longest streak",
+    streakDays: (n) => count(n, { one: '{n} day', other: '{n} days' }),
+    entriesOn: (day, n) => `${date(day)}: ${count(n, { one: '{n} entry', other: '{n} entries' })}`,
+    previousPeriod: "Previous",
+    nextPeriod: "Next",
+    statistics: "Statistics",
+    entriesPerWeek: "Entries per week",
+    wordsPerEntry: "Words per entry",
+    busiestTime: "Busiest time of day",
+    voiceVsTyped: "Voice vs typed",
+    lastWeeks: (n) => `Entries over the last ${number(n)} weeks`,
+    entriesByHour: "Entries by hour",
+    noStats: "Statistics appear once you have written a few entries.",
+    onThisDay: "On this day",
+    yearsAgo: (n) => count(n, { one: 'A year ago', other: '{n} years ago' }),
+    aMonthAgo: "A month ago",
+    noMemoriesToday: "Nothing from this day in earlier years yet.",
+    randomMemory: "Random memory",
+    anotherMemory: "Another one",
+    backToOnThisDay: "Back to this day",
+    includeMonthAgo: "Include a month ago",
+    memoryNotificationsOn: "Daily memory notification is on",
+    memoryNotificationsOff: "Get a daily notification when there are memories",
+    memoryNotificationTime: "Notify at",
+    memoryNotificationYears: "You wrote on this day in {years}.",
+    memoryNotificationMonthAgo: "You wrote on this day a month ago.",
+    notificationsBlocked: "Notifications are blocked. Allow them for this site in your browser settings.",
+    reminders: "Reminders",
+    remindersEnabled: "Remind me to write",
+    reminderTimes: "Times",
+    addReminderTime: "Add a time",
+    reminderDays: "Days",
+    quietDays: "Quiet days",
+    quietDaysHint: "No reminders between these dates, for holidays or breaks.",
+    addQuietDays: "Add",
+    reminderSkipHint: "A day's reminders are skipped once it has an entry.",
+    reminderFallbackHint: "This browser can't schedule notifications ahead, so reminders arrive while the app is open or running in the background.",
+    reminderTitle: "Time for your diary",
+    reminderBody: "How was your day? Tap to record an entry.",
+    readyToRecord: (mode) => mode === 'continuous' ? "Ready when you are: tap the mic to start." : "Ready when you are: hold the mic to talk.",
+    confirmDeletionTitle: "Confirm Deletion",
+    confirmDeleteAll: "Are you sure you want to delete all your notes? They will be moved to the trash.",
+    confirmDeleteYear: (year) => `Are you sure you want to delete all notes from ${year}?`,
+    confirmDeleteMonth: (year, month) => `Are you sure you want to delete all notes from ${monthYear(year, month, 'en')}?`,
+    cancel: "Cancel",
+    delete: "Delete",
+    noNotesToDownload: "No notes to download.",
+    dbErrorPermission: "Permission Denied: Your Firestore security rules have likely expired. Please update them in the Firebase console to allow access.",
+    dbErrorGeneric: (msg) => `Database error: ${msg}`,
+    pendingSync: "Pending sync",
+    synced: "Synced",
+    offlineBanner: "You're offline. New entries are saved on this device and will sync when you reconnect.",
+    useLocally: "Use on this device only",
+    useLocallyHint: "No account needed. Notes stay in this browser and are not synced.",
+    localMode: "This device only",
+    leaveLocalMode: "Switch to account",
+    encryption: "Encryption",
+    encryptionTitle: "End-to-end encryption",
+    encryptionIntro: "Note text, tags, places, edit history and new recordings are encrypted on this device with a passphrase before they are saved. Nobody without the passphrase can read them, including the server.",
+    encryptionWarning: "There is no way to recover your notes if you forget the passphrase.",
+    encryptionOn: "Encryption is on. Enter your passphrase on each device to read your notes.",
+    encryptionOffline: "Connect to the internet to turn on encryption.",
+    passphrase: "Passphrase",
+    confirmPassphrase: "Confirm passphrase",
+    passphraseTooShort: "Use at least 8 characters.",
+    passphraseMismatch: "The passphrases do not match.",
+    enableEncryption: "Turn on encryption",
+    encryptRemaining: (n) => `Encrypt ${count(n, { one: '{n} remaining note', other: '{n} remaining notes' })}`,
+    encryptionProgress: (done, total) => `Encrypting ${number(done)} of ${number(total)}...`,
+    encryptionDone: "All notes are encrypted.",
+    encryptionFailed: (msg) => `Encryption failed: ${msg}`,
+    unlockTitle: "Your diary is locked",
+    unlockSubtitle: "Enter your passphrase to decrypt your notes on this device.",
+    unlock: "Unlock",
+    unlocking: "Unlocking...",
+    lockNow: "Lock",
+    wrongPassphrase: "Wrong passphrase.",
+    cannotDecrypt: "This note could not be decrypted.",
+    writeNote: "Write a note (N)",
+    composerPlaceholder: "Type, paste or dictate a note...",
+    markdownWrite: "Write",
+    markdownPreview: "Preview",
+    nothingToPreview: "Nothing to preview.",
+    markdownHint: "**bold**, *italic*, # heading, - list, [link](https://…) · Ctrl+Enter to save, Esc to cancel",
+    saveNote: "Save note",
+    saveShortcut: "Save (Ctrl+Enter)",
+    searchShortcut: "Press / or Ctrl+K to search from anywhere.",
+    loading: "Loading...",
+    justNow: "Just now",
+    dbErrorTitle: "Database Error!",
+    speechUnsupported: "Speech recognition is not supported in this browser. You can still type your notes.",
+    speechError: (code) => ({
+        'not-allowed': "Microphone access was denied.",
+        'service-not-allowed': "Speech recognition is not allowed here.",
+        'audio-capture': "No microphone was found.",
+        network: "Speech recognition needs a network connection.",
+        'language-not-supported': "Speech recognition doesn't support the selected dictation language."
+    })[code] || `Speech error: ${code}`,
+    interfaceLanguage: "Interface language",
+    dictationLanguage: "Dictation language",
+    theme: "Theme",
+    themePresets: "Presets",
+    themeNames: (id) => ({ system: "System", light: "Light", dark: "Dark", slate: "Slate", ocean: "Ocean", forest: "Forest", rose: "Rose", sepia: "Sepia", custom: "Custom" })[id],
+    customPalette: "Custom palette",
+    customPaletteHint: "Changing a colour starts a custom palette from the current theme.",
+    paletteRoles: (role) => ({ background: "Background", surface: "Cards and fields", text: "Text", accent: "Accent", accentText: "Text on accent" })[role],
+    contrastChecks: "Contrast checks",
+    contrastRule: (id) => ({ textOnBackground: "Text on background", textOnSurface: "Text on cards", accentOnBackground: "Accent on background", accentTextOnAccent: "Text on accent" })[id],
+    contrastRatio: (ratio, min) => `${formatNumber(ratio, 'en', { maximumFractionDigits: 1 })}:1 (min. ${number(min)}:1)`,
+    contrastAdjusted: "adjusted automatically",
+    applyCorrections: "Apply corrections to the palette",
+    themeSyncHint: "Your theme and languages are saved to your account and follow you to your other devices.",
+    themeLocalHint: "In local mode your theme and languages are only saved on this device.",
+    done: "Done"
+};
@@ -0,0 +1,209 @@
+// --- Spanish Messages ---
+import { plural, formatNumber, formatDate, monthYear } from './format.js';
+
+const count = (n, forms) => plural('es', n, forms);
+const number = n => formatNumber(n, 'es');
+const date = value => formatDate(value, 'es');
+
+export default {
+    signInSubtitle: "Tu diario personal por voz.",
+    signInButton: "Iniciar sesión con Google",
+    installApp: "Instalar la app",
+    download: "Descargar",
+    deleteAll: "Eliminar todo",
+    signOut: "Cerrar sesión",
+    searchPlaceholder: "Buscar notas...",
+    searchHelp: 'Las palabras se encuentran sin tener en cuenta acentos ni mayúsculas. Usa "frase exacta", -excluir, tag:nombre, before:2024-03-01, after:2023, on:2024-05.',
+    today: "Hoy",
+    noNotesToday: "No hay entradas hoy. ¡Mantén pulsado el micro para grabar tus pensamientos!",
+    noNotesTodayContinuous: "No hay entradas hoy. ¡Toca el micro para grabar tus pensamientos!",
+    holdToTalk: "Mantener para hablar",
+    tapToToggle: "Tocar para empezar y parar",
+    listening: "Escuchando...",
+    keepAudioOn: "Se guardan las grabaciones de audio",
+    keepAudioOff: "No se guardan las grabaciones de audio",
+    playRecording: "Reproducir grabación",
+    audioUnavailable: "Grabación no disponible",
+    retranscribe: "Volver a transcribir la grabación",
+    transcribing: "Transcribiendo...",
+    deleteAudio: "Eliminar la grabación y conservar el texto",
+    importData: "Importar",
+    importTitle: "Importar notas",
+    importFormat: (format) => ({ csv: "Descarga CSV", json: "Copia de seguridad JSON", markdown: "Diario en Markdown / texto" })[format],
+    importSummary: (create, duplicates, skipped) => `${create} nuevas, ${duplicates} duplicadas, ${skipped} ilegibles`,
+    importSkipDuplicates: "Omitir duplicados",
+    importDuplicate: "Duplicada",
+    importMore: (n) => `…y ${number(n)} más`,
+    importConfirm: (n) => `Importar ${count(n, { one: '{n} nota', other: '{n} notas' })}`,
+    importProgress: (done, total) => `Guardando ${number(done)} de ${number(total)}...`,
+    importDone: (n) => `${count(n, { one: '{n} nota importada', other: '{n} notas importadas' })}.`,
+    importFailed: (msg) => `Error al importar: ${msg}`,
+    importOffline: "Conéctate a internet para importar en tu cuenta.",
+    close: "Cerrar",
+    exportTitle: "Exportar notas",
+    exportFormatLabel: "Formato",
+    exportFormat: (format) => ({ json: "Copia de seguridad JSON (sin pérdidas)", markdown: "Diario en Markdown", html: "Libro imprimible (HTML)", csv: "Hoja de cálculo CSV" })[format],
+    exportScopeLabel: "Notas que incluir",
+    exportScopeAll: "Todas las notas",
+    exportScopeRange: "Intervalo de fechas",
+    exportScopeSearch: (term) => `Resultados de la búsqueda actual («${term}»)`,
+    exportScopeNode: (label) => `Solo ${label}`,
+    exportFrom: "Desde",
+    exportTo: "Hasta",
+    exportCount: (n) => count(n, { one: '{n} nota seleccionada', other: '{n} notas seleccionadas' }),
+    exportPrint: "Imprimir / Guardar como PDF",
+    exportBookTitle: "El diario de mi vida",
+    popupBlocked: "Permite las ventanas emergentes de este sitio para imprimir el libro.",
+    trash: "Papelera",
+    trashEmpty: "La papelera está vacía.",
+    trashHint: (days) => days ? `Las notas de la papelera se eliminan para siempre después de ${count(days, { one: '{n} día', other: '{n} días' })}.` : "Las notas se quedan en la papelera hasta que la vacíes.",
+    trashRetention: "Conservar las notas eliminadas durante",
+    trashRetentionDays: (days) => days ? count(days, { one: '{n} día', other: '{n} días' }) : "Siempre",
+    emptyTrash: "Vaciar la papelera",
+    restore: "Restaurar",
+    deleteForever: "Eliminar para siempre",
+    deletedOn: (deletedAt) => `Eliminada el ${date(deletedAt)}`,
+    movedToTrash: (n) => count(n, { one: 'Nota movida a la papelera.', other: '{n} notas movidas a la papelera.' }),
+    undo: "Deshacer",
+    backToDiary: "Volver al diario",
+    confirmEmptyTrash: (n) => `¿Eliminar para siempre ${count(n, { one: '{n} nota', other: '{n} notas' })} de la papelera? Esta acción no se puede deshacer.`,
+    editHistory: "Historial de cambios",
+    currentVersion: "Versión actual",
+    originalVersion: "Original",
+    sourceVoice: "Voz",
+    sourceTyped: "Escrita",
+    revertToVersion: "Restaurar esta versión",
+    editDetails: "Etiquetas, estado de ánimo y lugar",
+    tagsLabel: "Etiquetas",
+    addTagPlaceholder: "Añade una etiqueta y pulsa Intro",
+    moodLabel: "Estado de ánimo",
+    moodNames: (value) => ["", "Fatal", "Mal", "Regular", "Bien", "Genial"][value],
+    locationLabel: "Lugar",
+    locationPlaceholder: "¿Dónde estabas?",
+    useCurrentLocation: "Usar la ubicación actual",
+    clearLocation: "Quitar el lugar",
+    manageTags: "Gestionar etiquetas",
+    clearFilters: "Quitar filtros",
+    renameTag: "Renombrar o fusionar",
+    renameTagHint: "Renombrar con una etiqueta existente fusiona las dos en todas las notas.",
+    noTags: "Aún no hay etiquetas. Escribe #algo en una nota para añadir una.",
+    noMatchToday: "No se encontraron notas de hoy que coincidan.",
+    pastEntries: "Entradas anteriores",
+    loadingNotes: "Cargando notas...",
+    calendar: "Calendario",
+    currentStreak: "Racha actual",
+    longestStreak: "Racha más larga",
+    streakDays: (n) => count(n, { one: '{n} día', other: '{n} días' }),
+    entriesOn: (day, n) => `${date(day)}: ${count(n, { one: '{n} entrada', other: '{n} entradas' })}`,
+    previousPeriod: "Anterior",
+    nextPeriod: "Siguiente",
+    statistics: "Estadísticas",
+    entriesPerWeek: "Entradas por semana",
+    wordsPerEntry: "Palabras por entrada",
+    busiestTime: "Hora con más actividad",
+    voiceVsTyped: "Voz o teclado",
+    lastWeeks: (n) => `Entradas de las últimas ${number(n)} semanas`,
+    entriesByHour: "Entradas por hora",
+    noStats: "Las estadísticas aparecerán cuando hayas escrito algunas entradas.",
+    onThisDay: "Un día como hoy",
+    yearsAgo: (n) => count(n, { one: 'Hace un año', other: 'Hace {n} años' }),
+    aMonthAgo: "Hace un mes",
+    noMemoriesToday: "Aún no hay nada de este día en años anteriores.",
+    randomMemory: "Recuerdo al azar",
+    anotherMemory: "Otro",
+    backToOnThisDay: "Volver a este día",
+    includeMonthAgo: "Incluir hace un mes",
+    memoryNotificationsOn: "La notificación diaria de recuerdos está activada",
+    memoryNotificationsOff: "Recibir una notificación diaria cuando haya recuerdos",
+    memoryNotificationTime: "Notificar a las",
+    memoryNotificationYears: "Escribiste un día como hoy en {years}.",
+    memoryNotificationMonthAgo: "Escribiste un día como hoy hace un mes.",
+    notificationsBlocked: "Las notificaciones están bloqueadas. Permítelas para este sitio en los ajustes del navegador.",
+    reminders: "Recordatorios",
+    remindersEnabled: "Recordarme que escriba",
+    reminderTimes: "Horas",
+    addReminderTime: "Añadir una hora",
+    reminderDays: "Días",
+    quietDays: "Días de descanso",
+    quietDaysHint: "Sin recordatorios entre estas fechas, para vacaciones o pausas.",
+    addQuietDays: "Añadir",
+    reminderSkipHint: "Los recordatorios de un día se omiten en cuanto tiene una entrada.",
+    reminderFallbackHint: "Este navegador no puede programar notificaciones por adelantado, así que los recordatorios llegan mientras la app está abierta o en segundo plano.",
+    reminderTitle: "Es la hora de tu diario",
+    reminderBody: "¿Qué tal tu día? Toca para grabar una entrada.",
+    readyToRecord: (mode) => mode === 'continuous' ? "Cuando quieras: toca el micro para empezar." : "Cuando quieras: mantén pulsado el micro para hablar.",
+    confirmDeletionTitle: "Confirmar eliminación",
+    confirmDeleteAll: "¿Seguro que quieres eliminar todas tus notas? Se moverán a la papelera.",
+    confirmDeleteYear: (year) => `¿Seguro que quieres eliminar todas las notas de ${year}?`,
+    confirmDeleteMonth: (year, month) => `¿Seguro que quieres eliminar todas las notas de ${monthYear(year, month, 'es')}?`,
+    cancel: "Cancelar",
+    delete: "Eliminar",
+    noNotesToDownload: "No hay notas para descargar.",
+    dbErrorPermission: "Permiso denegado: probablemente tus reglas de seguridad de Firestore han caducado. Actualízalas en la consola de Firebase para permitir el acceso.",
+    dbErrorGeneric: (msg) => `Error de base de datos: ${msg}`,
+    pendingSync: "Pendiente de sincronizar",
+    synced: "Sincronizada",
+    offlineBanner: "No tienes conexión. Las nuevas entradas se guardan en este dispositivo y se sincronizarán al volver a conectarte.",
+    useLocally: "Usar solo en este dispositivo",
+    useLocallyHint: "Sin cuenta. Las notas se quedan en este navegador y no se sincronizan.",
+    localMode: "Solo este dispositivo",
+    leaveLocalMode: "Usar una cuenta",
+    encryption: "Cifrado",
+    encryptionTitle: "Cifrado de extremo a extremo",
+    encryptionIntro: "El texto de las notas, las etiquetas, los lugares, el historial de cambios y las nuevas grabaciones se cifran en este dispositivo con una frase de contraseña antes de guardarse. Nadie puede leerlos sin ella, ni siquiera el servidor.",
+    encryptionWarning: "Si olvidas la frase de contraseña, no hay forma de recuperar tus notas.",
+    encryptionOn: "El cifrado está activado. Introduce tu frase de contraseña en cada dispositivo para leer tus notas.",
+    encryptionOffline: "Conéctate a internet para activar el cifrado.",
+    passphrase: "Frase de contraseña",
+    confirmPassphrase: "Confirmar la frase de contraseña",
+    passphraseTooShort: "Usa al menos 8 caracteres.",
+    passphraseMismatch: "Las frases de contraseña no coinciden.",
+    enableEncryption: "Activar el cifrado",
+    encryptRemaining: (n) => `Cifrar ${count(n, { one: '{n} nota restante', other: '{n} notas restantes' })}`,
+    encryptionProgress: (done, total) => `Cifrando ${number(done)} de ${number(total)}...`,
+    encryptionDone: "Todas las notas están cifradas.",
+    encryptionFailed: (msg) => `Error al cifrar: ${msg}`,
+    unlockTitle: "Tu diario está bloqueado",
+    unlockSubtitle: "Introduce tu frase de contraseña para descifrar tus notas en este dispositivo.",
+    unlock: "Desbloquear",
+    unlocking: "Desbloqueando...",
+    lockNow: "Bloquear",
+    wrongPassphrase: "Frase de contraseña incorrecta.",
+    cannotDecrypt: "No se ha podido descifrar esta nota.",
+    writeNote: "Escribir una nota (N)",
+    composerPlaceholder: "Escribe, pega o dicta una nota...",
+    markdownWrite: "Escribir",
+    markdownPreview: "Vista previa",
+    nothingToPreview: "No hay nada que mostrar.",
+    markdownHint: "**negrita**, *cursiva*, # título, - lista, [enlace](https://…) · Ctrl+Intro para guardar, Esc para cancelar",
+    saveNote: "Guardar nota",
+    saveShortcut: "Guardar (Ctrl+Intro)",
+    searchShortcut: "Pulsa / o Ctrl+K para buscar desde cualquier sitio.",
+    loading: "Cargando...",
+    justNow: "Ahora mismo",
+    dbErrorTitle: "¡Error de base de datos!",
+    speechUnsupported: "Este navegador no admite el reconocimiento de voz. Aún puedes escribir tus notas con el teclado.",
+    speechError: (code) => ({
+        'not-allowed': "Se ha denegado el acceso al micrófono.",
+        'service-not-allowed': "El reconocimiento de voz no está permitido aquí.",
+        'audio-capture': "No se ha encontrado ningún micrófono.",
+        network: "El reconocimiento de voz necesita conexión a la red.",
+        'language-not-supported': "El reconocimiento de voz no admite el idioma de dictado elegido."
+    })[code] || `Error de reconocimiento de voz: ${code}`,
+    interfaceLanguage: "Idioma de la interfaz",
+    dictationLanguage: "Idioma de dictado",
+    theme: "Tema",
+    themePresets: "Temas predefinidos",
+    themeNames: (id) => ({ system: "Sistema", light: "Claro", dark: "Oscuro", slate: "Pizarra", ocean: "Océano", forest: "Bosque", rose: "Rosa", sepia: "Sepia", custom: "Personalizado" })[id],
+    customPalette: "Paleta personalizada",
+    customPaletteHint: "Al cambiar un color se crea una paleta personalizada a partir del tema actual.",
+    paletteRoles: (role) => ({ background: "Fondo", surface: "Tarjetas y campos", text: "Texto", accent: "Acento", accentText: "Texto sobre el acento" })[role],
+    contrastChecks: "Comprobación de contraste",
+    contrastRule: (id) => ({ textOnBackground: "Texto sobre el fondo", textOnSurface: "Texto sobre las tarjetas", accentOnBackground: "Acento sobre el fondo", accentTextOnAccent: "Texto sobre el acento" })[id],
+    contrastRatio: (ratio, min) => `${formatNumber(ratio, 'es', { maximumFractionDigits: 1 })}:1 (mín. ${number(min)}:1)`,
+    contrastAdjusted: "ajustado automáticamente",
+    applyCorrections: "Aplicar las correcciones a la paleta",
+    themeSyncHint: "Tu tema y tus idiomas se guardan en tu cuenta y te acompañan en tus otros dispositivos.",
+    themeLocalHint: "En modo local, tu tema y tus idiomas solo se guardan en este dispositivo.",
+    done: "Listo"
+};
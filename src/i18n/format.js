@@ -0,0 +1,29 @@
+// --- Locale Formatting ---
+// Thin, cached wrappers around Intl so message files and components format counts, dates and
+// numbers the same way. Everything takes the UI language code ('en', 'fr', ...).
+const cache = new Map();
+const cached = (Type, lang, options = {}) => {
+    const key = `${Type.name}|${lang}|${JSON.stringify(options)}`;
+    if (!cache.has(key)) cache.set(key, new Type(lang, options));
+    return cache.get(key);
+};
+
+export const formatNumber = (n, lang, options) => cached(Intl.NumberFormat, lang, options).format(n);
+
+// `forms` maps plural categories to text, with {n} replaced by the formatted number:
+// plural('en', 3, { one: '{n} note', other: '{n} notes' }) -> "3 notes". French puts 0 in "one".
+export const plural = (lang, n, forms) => {
+    const text = forms[cached(Intl.PluralRules, lang).select(n)] ?? forms.other;
+    return text.replace('{n}', formatNumber(n, lang));
+};
+
+const toDate = value => value instanceof Date ? value : new Date(value);
+export const formatDate = (value, lang, options = { dateStyle: 'medium' }) => cached(Intl.DateTimeFormat, lang, options).format(toDate(value));
+export const formatDateTime = (value, lang) => formatDate(value, lang, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Labels for the numeric year/month keys the app groups by; only ever used for display.
+export const monthName = (year, month, lang) => formatDate(new Date(year, month, 1), lang, { month: 'long' });
+export const monthYear = (year, month, lang) => formatDate(new Date(year, month, 1), lang, { month: 'long', year: 'numeric' });
+export const hourLabel = (hour, lang) => formatDate(new Date(2000, 0, 1, hour), lang, { hour: 'numeric' });
+// 0 is Sunday, as with Date#getDay (7 Jan 2024 was a Sunday).
+export const weekdayName = (day, lang, width = 'short') => formatDate(new Date(2024, 0, 7 + day), lang, { weekday: width });
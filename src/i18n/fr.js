@@ -0,0 +1,209 @@
+// --- French Messages ---
+import { plural, formatNumber, formatDate, monthYear } from './format.js';
+
+const count = (n, forms) => plural('fr', n, forms);
+const number = n => formatNumber(n, 'fr');
+const date = value => formatDate(value, 'fr');
+
+export default {
+    signInSubtitle: "Votre journal personnel à commande vocale.",
+    signInButton: "Se connecter avec Google",
+    installApp: "Installer l'appli",
+    download: "Télécharger",
+    deleteAll: "Tout supprimer",
+    signOut: "Se déconnecter",
+    searchPlaceholder: "Rechercher des notes...",
+    searchHelp: 'Les mots sont trouvés sans tenir compte des accents ni de la casse. Utilisez "expression exacte", -exclure, tag:nom, before:2024-03-01, after:2023, on:2024-05.',
+    today: "Aujourd'hui",
+    noNotesToday: "Aucune entrée pour aujourd'hui. Maintenez le micro pour enregistrer vos pensées !",
+    noNotesTodayContinuous: "Aucune entrée pour aujourd'hui. Touchez le micro pour enregistrer vos pensées !",
+    holdToTalk: "Maintenir pour parler",
+    tapToToggle: "Toucher pour démarrer et arrêter",
+    listening: "À l'écoute...",
+    keepAudioOn: "Enregistrements audio conservés",
+    keepAudioOff: "Enregistrements audio non conservés",
+    playRecording: "Écouter l'enregistrement",
+    audioUnavailable: "Enregistrement indisponible",
+    retranscribe: "Retranscrire l'enregistrement",
+    transcribing: "Transcription...",
+    deleteAudio: "Supprimer l'enregistrement, garder le texte",
+    importData: "Importer",
+    importTitle: "Importer des notes",
+    importFormat: (format) => ({ csv: "Téléchargement CSV", json: "Sauvegarde JSON", markdown: "Journal Markdown / texte" })[format],
+    importSummary: (create, duplicates, skipped) => `${create} nouvelles, ${duplicates} en double, ${skipped} illisibles`,
+    importSkipDuplicates: "Ignorer les doublons",
+    importDuplicate: "Doublon",
+    importMore: (n) => `…et ${number(n)} de plus`,
+    importConfirm: (n) => `Importer ${count(n, { one: '{n} note', other: '{n} notes' })}`,
+    importProgress: (done, total) => `Enregistrement ${number(done)} sur ${number(total)}...`,
+    importDone: (n) => `${count(n, { one: '{n} note importée', other: '{n} notes importées' })}.`,
+    importFailed: (msg) => `Échec de l'import : ${msg}`,
+    importOffline: "Connectez-vous à Internet pour importer dans votre compte.",
+    close: "Fermer",
+    exportTitle: "Exporter des notes",
+    exportFormatLabel: "Format",
+    exportFormat: (format) => ({ json: "Sauvegarde JSON (sans perte)", markdown: "Journal Markdown", html: "Livre imprimable (HTML)", csv: "Tableur CSV" })[format],
+    exportScopeLabel: "Notes à inclure",
+    exportScopeAll: "Toutes les notes",
+    exportScopeRange: "Période",
+    exportScopeSearch: (term) => `Résultats de la recherche (« ${term} »)`,
+    exportScopeNode: (label) => `Uniquement ${label}`,
+    exportFrom: "Du",
+    exportTo: "Au",
+    exportCount: (n) => count(n, { one: '{n} note sélectionnée', other: '{n} notes sélectionnées' }),
+    exportPrint: "Imprimer / Enregistrer en PDF",
+    exportBookTitle: "Mon journal de vie",
+    popupBlocked: "Autorisez les fenêtres pop-up pour ce site afin d'imprimer le livre.",
+    trash: "Corbeille",
+    trashEmpty: "La corbeille est vide.",
+    trashHint: (days) => days ? `Les notes de la corbeille sont définitivement supprimées après ${count(days, { one: '{n} jour', other: '{n} jours' })}.` : "Les notes restent dans la corbeille jusqu'à ce que vous la vidiez.",
+    trashRetention: "Conserver les notes supprimées",
+    trashRetentionDays: (days) => days ? count(days, { one: '{n} jour', other: '{n} jours' }) : "Toujours",
+    emptyTrash: "Vider la corbeille",
+    restore: "Restaurer",
+    deleteForever: "Supprimer définitivement",
+    deletedOn: (deletedAt) => `Supprimée le ${date(deletedAt)}`,
+    movedToTrash: (n) => count(n, { one: 'Note placée dans la corbeille.', other: '{n} notes placées dans la corbeille.' }),
+    undo: "Annuler",
+    backToDiary: "Retour au journal",
+    confirmEmptyTrash: (n) => `Supprimer définitivement ${count(n, { one: '{n} note', other: '{n} notes' })} de la corbeille ? Cette action est irréversible.`,
+    editHistory: "Historique des modifications",
+    currentVersion: "Version actuelle",
+    originalVersion: "Originale",
+    sourceVoice: "Voix",
+    sourceTyped: "Saisie",
+    revertToVersion: "Restaurer cette version",
+    editDetails: "Tags, humeur et lieu",
+    tagsLabel: "Tags",
+    addTagPlaceholder: "Ajoutez un tag puis Entrée",
+    moodLabel: "Humeur",
+    moodNames: (value) => ["", "Terrible", "Mauvaise", "Correcte", "Bonne", "Excellente"][value],
+    locationLabel: "Lieu",
+    locationPlaceholder: "Où étiez-vous ?",
+    useCurrentLocation: "Utiliser ma position",
+    clearLocation: "Retirer le lieu",
+    manageTags: "Gérer les tags",
+    clearFilters: "Effacer les filtres",
+    renameTag: "Renommer ou fusionner",
+    renameTagHint: "Renommer vers un tag existant fusionne les deux dans toutes les notes.",
+    noTags: "Aucun tag pour l'instant. Écrivez #quelquechose dans une note pour en ajouter un.",
+    noMatchToday: "Aucune note correspondante trouvée pour aujourd'hui.",
+    pastEntries: "Entrées précédentes",
+    loadingNotes: "Chargement des notes...",
+    calendar: "Calendrier",
+    currentStreak: "Série actuelle",
+    longestStreak: "Plus longue série",
+    streakDays: (n) => count(n, { one: '{n} jour', other: '{n} jours' }),
+    entriesOn: (day, n) => `${date(day)} : ${count(n, { one: '{n} entrée', other: '{n} entrées' })}`,
+    previousPeriod: "Précédent",
+    nextPeriod: "Suivant",
+    statistics: "Statistiques",
+    entriesPerWeek: "Entrées par semaine",
+    wordsPerEntry: "Mots par entrée",
+    busiestTime: "Moment le plus actif",
+    voiceVsTyped: "Voix ou clavier",
+    lastWeeks: (n) => `Entrées des ${number(n)} dernières semaines`,
+    entriesByHour: "Entrées par heure",
+    noStats: "Les statistiques apparaîtront après quelques entrées.",
+    onThisDay: "Ce jour-là",
+    yearsAgo: (n) => count(n, { one: 'Il y a un an', other: 'Il y a {n} ans' }),
+    aMonthAgo: "Il y a un mois",
+    noMemoriesToday: "Rien de ce jour les années précédentes pour l'instant.",
+    randomMemory: "Souvenir au hasard",
+    anotherMemory: "Un autre",
+    backToOnThisDay: "Revenir à ce jour",
+    includeMonthAgo: "Inclure il y a un mois",
+    memoryNotificationsOn: "La notification quotidienne des souvenirs est activée",
+    memoryNotificationsOff: "Recevoir une notification quotidienne quand il y a des souvenirs",
+    memoryNotificationTime: "Notifier à",
+    memoryNotificationYears: "Vous avez écrit ce jour-là en {years}.",
+    memoryNotificationMonthAgo: "Vous avez écrit ce jour-là il y a un mois.",
+    notificationsBlocked: "Les notifications sont bloquées. Autorisez-les pour ce site dans les réglages du navigateur.",
+    reminders: "Rappels",
+    remindersEnabled: "Me rappeler d'écrire",
+    reminderTimes: "Heures",
+    addReminderTime: "Ajouter une heure",
+    reminderDays: "Jours",
+    quietDays: "Jours de pause",
+    quietDaysHint: "Aucun rappel entre ces dates, pour les vacances ou les pauses.",
+    addQuietDays: "Ajouter",
+    reminderSkipHint: "Les rappels d'une journée sont ignorés dès qu'elle a une entrée.",
+    reminderFallbackHint: "Ce navigateur ne peut pas programmer de notifications à l'avance : les rappels arrivent quand l'application est ouverte ou en arrière-plan.",
+    reminderTitle: "C'est l'heure de votre journal",
+    reminderBody: "Comment s'est passée votre journée ? Touchez pour enregistrer une entrée.",
+    readyToRecord: (mode) => mode === 'continuous' ? "Prêt quand vous l'êtes : touchez le micro pour commencer." : "Prêt quand vous l'êtes : maintenez le micro pour parler.",
+    confirmDeletionTitle: "Confirmer la suppression",
+    confirmDeleteAll: "Êtes-vous sûr de vouloir supprimer toutes vos notes ? Elles seront placées dans la corbeille.",
+    confirmDeleteYear: (year) => `Êtes-vous sûr de vouloir supprimer toutes les notes de ${year} ?`,
+    confirmDeleteMonth: (year, month) => `Êtes-vous sûr de vouloir supprimer toutes les notes de ${monthYear(year, month, 'fr')} ?`,
+    cancel: "Annuler",
+    delete: "Supprimer",
+    noNotesToDownload: "Aucune note à télécharger.",
+    dbErrorPermission: "Autorisation refusée : Vos règles de sécurité Firestore ont probablement expiré. Veuillez les mettre à jour dans la console Firebase pour autoriser l'accès.",
+    dbErrorGeneric: (msg) => `Erreur de base de données : ${msg}`,
+    pendingSync: "En attente de synchronisation",
+    synced: "Synchronisé",
+    offlineBanner: "Vous êtes hors ligne. Les nouvelles entrées sont enregistrées sur cet appareil et seront synchronisées à la reconnexion.",
+    useLocally: "Utiliser sur cet appareil uniquement",
+    useLocallyHint: "Aucun compte requis. Les notes restent dans ce navigateur et ne sont pas synchronisées.",
+    localMode: "Cet appareil uniquement",
+    leaveLocalMode: "Utiliser un compte",
+    encryption: "Chiffrement",
+    encryptionTitle: "Chiffrement de bout en bout",
+    encryptionIntro: "Le texte des notes, les tags, les lieux, l'historique des modifications et les nouveaux enregistrements sont chiffrés sur cet appareil avec une phrase secrète avant d'être enregistrés. Personne ne peut les lire sans elle, pas même le serveur.",
+    encryptionWarning: "Si vous oubliez la phrase secrète, vos notes ne pourront pas être récupérées.",
+    encryptionOn: "Le chiffrement est activé. Saisissez votre phrase secrète sur chaque appareil pour lire vos notes.",
+    encryptionOffline: "Connectez-vous à Internet pour activer le chiffrement.",
+    passphrase: "Phrase secrète",
+    confirmPassphrase: "Confirmer la phrase secrète",
+    passphraseTooShort: "Utilisez au moins 8 caractères.",
+    passphraseMismatch: "Les phrases secrètes ne correspondent pas.",
+    enableEncryption: "Activer le chiffrement",
+    encryptRemaining: (n) => `Chiffrer ${count(n, { one: '{n} note restante', other: '{n} notes restantes' })}`,
+    encryptionProgress: (done, total) => `Chiffrement de ${number(done)} sur ${number(total)}...`,
+    encryptionDone: "Toutes les notes sont chiffrées.",
+    encryptionFailed: (msg) => `Échec du chiffrement : ${msg}`,
+    unlockTitle: "Votre journal est verrouillé",
+    unlockSubtitle: "Saisissez votre phrase secrète pour déchiffrer vos notes sur cet appareil.",
+    unlock: "Déverrouiller",
+    unlocking: "Déverrouillage...",
+    lockNow: "Verrouiller",
+    wrongPassphrase: "Phrase secrète incorrecte.",
+    cannotDecrypt: "Cette note n'a pas pu être déchiffrée.",
+    writeNote: "Écrire une note (N)",
+    composerPlaceholder: "Tapez, collez ou dictez une note...",
+    markdownWrite: "Écrire",
+    markdownPreview: "Aperçu",
+    nothingToPreview: "Rien à afficher.",
+    markdownHint: "**gras**, *italique*, # titre, - liste, [lien](https://…) · Ctrl+Entrée pour enregistrer, Échap pour annuler",
+    saveNote: "Enregistrer la note",
+    saveShortcut: "Enregistrer (Ctrl+Entrée)",
+    searchShortcut: "Appuyez sur / ou Ctrl+K pour rechercher depuis n'importe où.",
+    loading: "Chargement...",
+    justNow: "À l'instant",
+    dbErrorTitle: "Erreur de base de données !",
+    speechUnsupported: "La reconnaissance vocale n'est pas prise en charge par ce navigateur. Vous pouvez toujours écrire vos notes au clavier.",
+    speechError: (code) => ({
+        'not-allowed': "L'accès au micro a été refusé.",
+        'service-not-allowed': "La reconnaissance vocale n'est pas autorisée ici.",
+        'audio-capture': "Aucun micro n'a été trouvé.",
+        network: "La reconnaissance vocale nécessite une connexion réseau.",
+        'language-not-supported': "La reconnaissance vocale ne prend pas en charge la langue de dictée choisie."
+    })[code] || `Erreur de reconnaissance vocale : ${code}`,
+    interfaceLanguage: "Langue de l'interface",
+    dictationLanguage: "Langue de dictée",
+    theme: "Thème",
+    themePresets: "Thèmes prédéfinis",
+    themeNames: (id) => ({ system: "Système", light: "Clair", dark: "Sombre", slate: "Ardoise", ocean: "Océan", forest: "Forêt", rose: "Rose", sepia: "Sépia", custom: "Personnalisé" })[id],
+    customPalette: "Palette personnalisée",
+    customPaletteHint: "Modifier une couleur crée une palette personnalisée à partir du thème actuel.",
+    paletteRoles: (role) => ({ background: "Arrière-plan", surface: "Cartes et champs", text: "Texte", accent: "Accent", accentText: "Texte sur l'accent" })[role],
+    contrastChecks: "Vérification du contraste",
+    contrastRule: (id) => ({ textOnBackground: "Texte sur l'arrière-plan", textOnSurface: "Texte sur les cartes", accentOnBackground: "Accent sur l'arrière-plan", accentTextOnAccent: "Texte sur l'accent" })[id],
+    contrastRatio: (ratio, min) => `${formatNumber(ratio, 'fr', { maximumFractionDigits: 1 })}:1 (min. ${number(min)}:1)`,
+    contrastAdjusted: "corrigé automatiquement",
+    applyCorrections: "Appliquer les corrections à la palette",
+    themeSyncHint: "Votre thème et vos langues sont enregistrés dans votre compte et vous suivent sur vos autres appareils.",
+    themeLocalHint: "En mode local, votre thème et vos langues ne sont enregistrés que sur cet appareil.",
+    done: "Terminé"
+};
@@ -0,0 +1,48 @@
+// --- Internationalization ---
+// The UI language ('en', 'fr', ...) picks a message file; the dictation language is a separate BCP 47
+// tag handed to speech recognition, so people can dictate in one language while using another.
+import en from './en.js';
+import fr from './fr.js';
+import es from './es.js';
+import de from './de.js';
+
+export * from './format.js';
+
+const MESSAGES = { en, fr, es, de };
+
+// Native names, so each language can be found whatever the current one is.
+export const UI_LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'fr', name: 'Français' },
+    { code: 'es', name: 'Español' },
+    { code: 'de', name: 'Deutsch' }
+];
+
+export const SPEECH_LANGUAGES = [
+    'en-US', 'en-GB', 'en-AU', 'en-IN', 'fr-FR', 'fr-CA', 'fr-BE', 'es-ES', 'es-MX', 'es-AR', 'de-DE', 'de-AT', 'de-CH',
+    'it-IT', 'pt-PT', 'pt-BR', 'nl-NL', 'pl-PL', 'sv-SE', 'tr-TR', 'ru-RU', 'ja-JP', 'ko-KR', 'zh-CN', 'hi-IN', 'ar-SA'
+];
+
+// 'fr-CA' -> 'fr'; used for voice commands and to pair a dictation language with a UI language.
+export const baseLanguage = tag => (tag || '').split('-')[0].toLowerCase();
+
+export const supportedUiLanguage = tag => MESSAGES[baseLanguage(tag)] ? baseLanguage(tag) : null;
+
+export const defaultUiLanguage = (speechLanguage) => supportedUiLanguage(speechLanguage)
+    || (navigator.languages || [navigator.language]).map(supportedUiLanguage).find(Boolean)
+    || 'en';
+
+// Speech languages named in the UI language, e.g. "français (Canada)" or "French (Canada)".
+export const speechLanguageName = (tag, lang) => {
+    try { return new Intl.DisplayNames(lang, { type: 'language' }).of(tag); } catch (e) { return tag; }
+};
+
+// Missing keys fall back to English, then to the key itself so a gap shows up instead of crashing.
+export const createTranslator = (lang) => {
+    const messages = MESSAGES[lang] || en;
+    return (key, ...args) => {
+        const text = messages[key] ?? en[key];
+        if (text === undefined) { console.warn(`Missing translation: ${key}`); return key; }
+        return typeof text === 'function' ? text(...args) : text;
+    };
+};
@@ -0,0 +1,29 @@
+// --- IndexedDB Helpers ---
+// Thin promise wrappers around the raw API. Each module owns its own database and schema.
+const connections = {};
+
+export const openDatabase = (name, version, upgrade) => {
+    if (!connections[name]) {
+        connections[name] = new Promise((resolve, reject) => {
+            const req = indexedDB.open(name, version);
+            req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion, req.transaction);
+            req.onsuccess = () => {
+                const db = req.result;
+                db.onversionchange = () => { db.close(); delete connections[name]; };
+                resolve(db);
+            };
+            req.onerror = () => { delete connections[name]; reject(req.error); };
+        });
+    }
+    return connections[name];
+};
+
+export const promisifyRequest = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+});
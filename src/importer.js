@@ -0,0 +1,212 @@
+// --- Import Pipeline ---
+// Turns an uploaded file into entries of the form { text, timestamp (millis), extra, duplicate }.
+// Understands this app's CSV download, the JSON backup format and Markdown/text journals with dated headings.
+export const BACKUP_FORMAT = 'my-life-diary-backup';
+export const IMPORT_BATCH_SIZE = 250;
+
+// Fields that only make sense for the account and device that wrote them.
+const LOCAL_ONLY_FIELDS = ['id', 'timestamp', 'text', 'audio', 'audioBlob', 'pending', 'needsEncryption', 'decryptError'];
+
+const MONTHS = {
+    january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+    jan: 1, feb: 2, mar: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+    janvier: 1, février: 2, fevrier: 2, mars: 3, avril: 4, mai: 5, juin: 6, juillet: 7, août: 8, aout: 8, septembre: 9, octobre: 10, novembre: 11, décembre: 12, decembre: 12,
+    janv: 1, févr: 2, fevr: 2, avr: 4, juil: 7,
+    enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+    ene: 1, abr: 4, ago: 8, dic: 12,
+    januar: 1, jänner: 1, februar: 2, märz: 3, maerz: 3, juni: 6, juli: 7, august: 8, oktober: 10, dezember: 12,
+    jän: 1, mär: 3, okt: 10, dez: 12
+};
+const WEEKDAYS = /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday|lundi|mardi|mercredi|jeudi|vendredi|samedi|dimanche|lunes|martes|miércoles|miercoles|jueves|viernes|sábado|sabado|domingo|montag|dienstag|mittwoch|donnerstag|freitag|samstag|sonnabend|sonntag)\.?,?\s+/i;
+
+// Locale formatting puts narrow and non-breaking spaces around AM/PM and in French dates.
+const cleanSpaces = s => s.replace(/[  ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const makeTimestamp = (y, m, d, time = { h: 12, min: 0, s: 0 }) => {
+    const date = new Date(y, m - 1, d, time.h, time.min, time.s);
+    if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+    return date.getTime();
+};
+
+export const parseTime = (input) => {
+    const match = cleanSpaces(input).match(/^(\d{1,2})(?::|h)(\d{2})?(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+    if (!match) return null;
+    let h = parseInt(match[1], 10);
+    const min = parseInt(match[2] || '0', 10), s = parseInt(match[3] || '0', 10), meridiem = match[4]?.[0].toLowerCase();
+    if (meridiem === 'p' && h < 12) h += 12;
+    if (meridiem === 'a' && h === 12) h = 0;
+    if (h > 23 || min > 59 || s > 59) return null;
+    return { h, min, s };
+};
+
+// Returns { y, m, d } or null. `dayFirst` settles numeric dates like 03/05/2024.
+export const parseDate = (input, dayFirst = false) => {
+    const s = cleanSpaces(input).replace(WEEKDAYS, '').replace(/(\d)(st|nd|rd|th|er)\b/gi, '$1');
+    let match = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return { y: +match[1], m: +match[2], d: +match[3] };
+    match = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (match) return dayFirst ? { y: +match[3], m: +match[2], d: +match[1] } : { y: +match[3], m: +match[1], d: +match[2] };
+    match = s.match(/^([\p{L}]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/u);
+    if (match && MONTHS[match[1].toLowerCase()]) return { y: +match[3], m: MONTHS[match[1].toLowerCase()], d: +match[2] };
+    // "5 mars 2024", "5 de marzo de 2024", "5. März 2024".
+    match = s.match(/^(\d{1,2})\.?\s+(?:de\s+)?([\p{L}]+)\.?,?\s+(?:de\s+)?(\d{4})$/iu);
+    if (match && MONTHS[match[2].toLowerCase()]) return { y: +match[3], m: MONTHS[match[2].toLowerCase()], d: +match[1] };
+    return null;
+};
+
+// Splits "March 5, 2024 at 2:30 PM", "2024-03-05 14:30", "5 mars 2024 à 14h30",
+// "5 de marzo de 2024, 14:30" or "5. März 2024 um 14:30" into a timestamp.
+const parseDateTime = (input, dayFirst) => {
+    const s = cleanSpaces(input);
+    const date = parseDate(s, dayFirst);
+    if (date) return makeTimestamp(date.y, date.m, date.d);
+    const match = s.match(/^(.*?)(?:,?\s+(?:at|à|a las|um)\s+|T|,?\s+)(\d{1,2}(?::|h)\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?)$/i);
+    if (!match) return null;
+    const datePart = parseDate(match[1], dayFirst), time = parseTime(match[2]);
+    return datePart && time ? makeTimestamp(datePart.y, datePart.m, datePart.d, time) : null;
+};
+
+// --- CSV ---
+// RFC 4180: quoted cells may hold commas, doubled quotes and line breaks.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { row.push(cell); cell = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else cell += c;
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// The download formats dates with toLocaleDateString, so the day/month order depends on the language it
+// was made in. Any day above 12 gives it away. Otherwise English writes "3/5/2024" with AM/PM times while
+// French zero-pads ("05/03/2024"); failing all that, fall back to the UI language.
+const detectDayFirst = (dates, times, langCode) => {
+    for (const value of dates) {
+        const match = cleanSpaces(value).match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{4}$/);
+        if (match && +match[1] > 12) return true;
+        if (match && +match[2] > 12) return false;
+    }
+    if (times.some(value => /[ap]\.?m\.?$/i.test(cleanSpaces(value)))) return false;
+    if (dates.some(value => /^0\d[/.-]|[/.-]0\d[/.-]/.test(cleanSpaces(value)))) return true;
+    return langCode !== 'en';
+};
+
+const parseAppCsv = (text, langCode) => {
+    const [header = [], ...rows] = parseCsv(text.replace(/^﻿/, ''));
+    const columns = header.map(h => h.trim().toLowerCase());
+    const dateCol = columns.findIndex(c => c === 'date' || c === 'timestamp');
+    const timeCol = columns.indexOf('time');
+    const textCol = columns.findIndex(c => ['note', 'text', 'content', 'entry', 'body'].includes(c));
+    if (dateCol === -1 || textCol === -1) throw new Error('CSV needs a Date and a Note column.');
+    const dayFirst = detectDayFirst(rows.map(r => r[dateCol] || ''), timeCol === -1 ? [] : rows.map(r => r[timeCol] || ''), langCode);
+    const entries = [], skipped = [];
+    rows.forEach((row, index) => {
+        const noteText = (row[textCol] || '').trim();
+        const date = parseDate(row[dateCol] || '', dayFirst);
+        const time = timeCol === -1 ? null : parseTime(row[timeCol] || '');
+        const timestamp = date ? makeTimestamp(date.y, date.m, date.d, time || undefined) : Date.parse(row[dateCol]);
+        if (!noteText || !Number.isFinite(timestamp)) return skipped.push({ line: index + 2, reason: !noteText ? 'empty' : 'date' });
+        entries.push({ text: noteText, timestamp, extra: {} });
+    });
+    return { entries, skipped };
+};
+
+// --- JSON Backup ---
+const parseJsonBackup = (text) => {
+    const data = JSON.parse(text);
+    const notes = Array.isArray(data) ? data : data.notes;
+    if (!Array.isArray(notes)) throw new Error('JSON backup has no "notes" list.');
+    const entries = [], skipped = [];
+    notes.forEach((note, index) => {
+        const timestamp = typeof note.timestamp === 'number' ? note.timestamp : Date.parse(note.timestamp);
+        if (typeof note.text !== 'string' || !note.text.trim() || !Number.isFinite(timestamp)) return skipped.push({ line: index + 1, reason: 'invalid' });
+        const extra = Object.fromEntries(Object.entries(note).filter(([key]) => !LOCAL_ONLY_FIELDS.includes(key)));
+        entries.push({ text: note.text.trim(), timestamp, extra });
+    });
+    return { entries, skipped };
+};
+
+// --- Markdown / Plain Text ---
+// Every heading that reads as a date starts an entry; time headings below it start another entry on
+// that day. Bare lines only count when they stand as their own paragraph, so a "10:30" or "March 5"
+// written inside an entry stays part of it. Title, year and "Month Year" headings (as the Markdown export writes them)
+// are dropped; other headings are kept as part of the entry text.
+const isStructuralHeading = heading => /^\d{4}$/.test(heading) || /^[\p{L}]+\.?\s+(?:de\s+)?\d{4}$/u.test(heading);
+
+const parseMarkdownJournal = (text, langCode) => {
+    const dayFirst = langCode !== 'en';
+    const entries = [], skipped = [];
+    let current = null, currentDay = null, lines = [], orphanLines = 0, sameDayIndex = 0;
+    const flush = () => {
+        const body = lines.join('\n').trim();
+        if (current !== null && body) entries.push({ text: body, timestamp: current, extra: {} });
+        else if (current === null && body) orphanLines += body.split('\n').length;
+        lines = [];
+    };
+    const allLines = text.replace(/^﻿/, '').split(/\r?\n/);
+    const standsAlone = i => !allLines[i - 1]?.trim() && !allLines[i + 1]?.trim();
+    allLines.forEach((line, i) => {
+        const markdownHeading = line.match(/^#{1,6}\s+(.*?)\s*#*$/)?.[1];
+        const heading = markdownHeading ?? (/^\s*\S/.test(line) && line.trim().length <= 40 && standsAlone(i) ? line.trim() : null);
+        if (heading !== null) {
+            const timestamp = parseDateTime(heading.replace(/[*_]/g, ''), dayFirst);
+            const time = currentDay && parseTime(heading.replace(/[*_]/g, ''));
+            if (timestamp !== null) {
+                flush();
+                const day = new Date(timestamp);
+                // Undated entries on the same day keep their order a second apart.
+                sameDayIndex = currentDay && currentDay.toDateString() === day.toDateString() ? sameDayIndex + 1 : 0;
+                currentDay = day; current = timestamp + sameDayIndex * 1000;
+                return;
+            }
+            if (time) {
+                flush();
+                current = makeTimestamp(currentDay.getFullYear(), currentDay.getMonth() + 1, currentDay.getDate(), time);
+                return;
+            }
+            if (markdownHeading !== undefined && (current === null || isStructuralHeading(heading))) return;
+        }
+        lines.push(line);
+    });
+    flush();
+    if (orphanLines > 0) skipped.push({ line: 1, reason: 'undated', count: orphanLines });
+    return { entries, skipped };
+};
+
+export const parseImportFile = async (file, langCode) => {
+    const text = await file.text();
+    const name = file.name.toLowerCase();
+    // The extension decides; the content is only sniffed for files without a known one, since a journal
+    // can just as well start with "[2024-03-05]" or a [link](…).
+    if (name.endsWith('.csv')) return { format: 'csv', ...parseAppCsv(text, langCode) };
+    if (/\.(md|markdown|txt)$/.test(name)) return { format: 'markdown', ...parseMarkdownJournal(text, langCode) };
+    if (name.endsWith('.json') || /^\s*[[{]/.test(text)) return { format: 'json', ...parseJsonBackup(text) };
+    return { format: 'markdown', ...parseMarkdownJournal(text, langCode) };
+};
+
+// --- Duplicate Detection ---
+// Timestamps are compared, along with the trimmed text, only as precisely as the format keeps them:
+// whole seconds for CSV and backups, whole minutes for Markdown and text journals (and the Markdown export).
+const duplicateKey = (timestamp, text, unit) => `${Math.floor(timestamp / unit)}|${text.replace(/\s+/g, ' ').trim()}`;
+
+export const markDuplicates = (entries, existingNotes, format) => {
+    const unit = format === 'markdown' ? 60 * 1000 : 1000;
+    const seen = new Set(existingNotes.filter(n => n.timestamp).map(n => duplicateKey(n.timestamp.toMillis(), n.text, unit)));
+    return entries.map(entry => {
+        const key = duplicateKey(entry.timestamp, entry.text, unit);
+        const duplicate = seen.has(key);
+        seen.add(key);
+        return { ...entry, duplicate };
+    });
+};
@@ -0,0 +1,79 @@
+// --- Note Markdown ---
+// The small Markdown subset notes support: # headings, - and 1. lists, **bold**, *italic* and
+// [links](https://…). Text is parsed into plain data so it can be rendered as React elements or
+// escaped HTML, never injected as raw HTML. Anything else, hashtags included, stays literal text.
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Bold before italic so "**" isn't read as two empty emphasis markers; "_" only counts at word edges (snake_case).
+const INLINE = /\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__|\[([^\]\n]+)\]\(([^)\s]+)\)|\*(?=\S)(.+?)\*|(?<![\p{L}\p{N}_])_(?=\S)(.+?)_(?![\p{L}\p{N}_])/u;
+
+// Links may only point to web pages or email, so a note can't carry a javascript: URL.
+export const safeUrl = (url) => {
+    const href = /^www\./i.test(url) ? `https://${url}` : url;
+    return /^(https?:\/\/|mailto:)/i.test(href) ? href : null;
+};
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let rest = text;
+    while (rest) {
+        const match = rest.match(INLINE);
+        if (!match) { nodes.push({ type: 'text', text: rest }); break; }
+        if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+        const [whole, bold, boldAlt, label, url, em, emAlt] = match;
+        const href = url && safeUrl(url);
+        if (bold || boldAlt) nodes.push({ type: 'strong', children: parseInline(bold || boldAlt) });
+        else if (label && href) nodes.push({ type: 'link', href, children: parseInline(label) });
+        else if (label) nodes.push({ type: 'text', text: whole });
+        else nodes.push({ type: 'em', children: parseInline(em || emAlt) });
+        rest = rest.slice(match.index + whole.length);
+    }
+    return nodes;
+};
+
+// Blocks are { type: 'heading', level, children }, { type: 'list', ordered, items: [children] }
+// and { type: 'paragraph', lines: [children] }; single line breaks inside a paragraph are kept.
+export const parseMarkdown = (text) => {
+    const blocks = [];
+    let paragraph = null, list = null;
+    (text || '').split('\n').forEach(line => {
+        const heading = line.match(HEADING), bullet = line.match(BULLET), numbered = !bullet && line.match(NUMBERED);
+        if (!line.trim()) { paragraph = list = null; return; }
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            paragraph = list = null;
+        } else if (bullet || numbered) {
+            const ordered = !!numbered;
+            if (!list || list.ordered !== ordered) blocks.push(list = { type: 'list', ordered, items: [] });
+            list.items.push(parseInline((bullet || numbered)[1]));
+            paragraph = null;
+        } else {
+            if (!paragraph) blocks.push(paragraph = { type: 'paragraph', lines: [] });
+            paragraph.lines.push(parseInline(line));
+            list = null;
+        }
+    });
+    return blocks;
+};
+
+export const escapeHtml = s => s.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const inlineToHtml = nodes => nodes.map(node => {
+    if (node.type === 'text') return escapeHtml(node.text);
+    const inner = inlineToHtml(node.children);
+    if (node.type === 'strong') return `<strong>${inner}</strong>`;
+    if (node.type === 'em') return `<em>${inner}</em>`;
+    return `<a href="${escapeHtml(node.href)}">${inner}</a>`;
+}).join('');
+
+// Headings start at <h4> so they sit below the page's own month and day headings.
+export const markdownToHtml = text => parseMarkdown(text).map(block => {
+    if (block.type === 'heading') return `<h${Math.min(block.level + 3, 6)}>${inlineToHtml(block.children)}</h${Math.min(block.level + 3, 6)}>`;
+    if (block.type === 'list') {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${inlineToHtml(item)}</li>`).join('')}</${tag}>`;
+    }
+    return `<p>${block.lines.map(inlineToHtml).join('<br>')}</p>`;
+}).join('');
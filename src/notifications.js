@@ -0,0 +1,51 @@
+// --- Service Worker Notifications ---
+// The page and the service worker share small JSON records through a dedicated cache, since the
+// worker can't reach app state. The worker decides what to show whenever it is asked to check:
+// by a periodic background sync where the browser supports it, and by the page while it is open.
+const STATE_CACHE = 'my-life-diary-state';
+const stateUrl = key => `/__state/${key}`;
+
+export const notificationsSupported = typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+export const enableNotifications = async () => {
+    if (!notificationsSupported) return false;
+    if (Notification.permission === 'granted') return true;
+    return (await Notification.requestPermission()) === 'granted';
+};
+
+export const readWorkerState = async (key) => {
+    const response = await (await caches.open(STATE_CACHE)).match(stateUrl(key));
+    return response ? response.json() : null;
+};
+
+export const writeWorkerState = async (key, value) => {
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(stateUrl(key), new Response(JSON.stringify(value), { headers: { 'Content-Type': 'application/json' } }));
+};
+
+// Periodic sync only exists for installed apps in Chromium browsers; elsewhere the page checks while open.
+export const registerPeriodicCheck = async (tag, minInterval) => {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.periodicSync) await registration.periodicSync.register(tag, { minInterval });
+    } catch (error) { console.warn("Periodic background sync unavailable:", error); }
+};
+
+export const unregisterPeriodicCheck = async (tag) => {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.periodicSync) await registration.periodicSync.unregister(tag);
+    } catch (error) { console.warn("Periodic background sync unavailable:", error); }
+};
+
+const postToWorker = async (message) => {
+    if (!notificationsSupported) return;
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage(message);
+};
+
+// Shows anything that is due now.
+export const requestNotificationCheck = () => postToWorker({ type: 'check-notifications' });
+
+// Asks the worker to (re)schedule reminders with Notification Triggers, where the browser has them.
+export const requestReminderSchedule = () => postToWorker({ type: 'schedule-reminders' });
@@ -0,0 +1,82 @@
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+// --- Offline Outbox ---
+// Every note write is queued here before it is sent, so entries made without a connection
+// survive a reload and are replayed in their original order once the network is back.
+const STORE = 'ops';
+const openOutbox = () => openDatabase('my-life-diary-outbox', 1, (db) => {
+    const store = db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+    store.createIndex('uid', 'uid');
+});
+
+const listeners = new Set();
+const notify = (uid) => listeners.forEach(listener => listener(uid));
+
+export const subscribeOutbox = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const enqueueOp = async (uid, op) => {
+    const db = await openOutbox();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).add({ ...op, uid, queuedAt: Date.now() });
+    await transactionDone(tx);
+    notify(uid);
+};
+
+export const listPendingOps = async (uid) => {
+    const db = await openOutbox();
+    const ops = await promisifyRequest(db.transaction(STORE).objectStore(STORE).index('uid').getAll(uid));
+    return ops.sort((a, b) => a.seq - b.seq);
+};
+
+const removeOp = async (seq) => {
+    const db = await openOutbox();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(seq);
+    await transactionDone(tx);
+};
+
+// Replays queued ops one at a time through `apply`. An op is only dropped once `apply` resolves,
+// so a failure leaves it (and everything queued after it) in place for the next attempt.
+const flushes = new Map();
+export const flushOutbox = (uid, apply) => {
+    const running = flushes.get(uid);
+    if (running) { running.again = true; return running.promise; }
+    const state = { again: false };
+    state.promise = (async () => {
+        try {
+            do {
+                state.again = false;
+                let ops;
+                while ((ops = await listPendingOps(uid)).length > 0) {
+                    await apply(ops[0]);
+                    await removeOp(ops[0].seq);
+                    notify(uid);
+                }
+            } while (state.again);
+        } finally { flushes.delete(uid); }
+    })();
+    flushes.set(uid, state);
+    return state.promise;
+};
+
+// Overlays queued ops on the last known server state so pending entries show up immediately.
+export const applyPendingOps = (notes, ops, hydrate = (data) => data) => {
+    const byId = new Map(notes.map(n => [n.id, { ...n, pending: false }]));
+    ops.forEach(op => {
+        // Audio that has not been uploaded yet is played straight from the queued blob.
+        if (op.type === 'create') byId.set(op.noteId, { id: op.noteId, ...hydrate(op.data), ...(op.audio && { audioBlob: op.audio }), pending: true });
+        if (op.type === 'update' && byId.has(op.noteId)) {
+            const note = { ...byId.get(op.noteId), ...hydrate(op.data), pending: true };
+            if (op.data.audio === null) delete note.audioBlob;
+            byId.set(op.noteId, note);
+        }
+        if (op.type === 'updateEach') op.updates.forEach(({ noteId, data }) => { if (byId.has(noteId)) byId.set(noteId, { ...byId.get(noteId), ...hydrate(data), pending: true }); });
+        if (op.type === 'updateMany') op.noteIds.forEach(id => { if (byId.has(id)) byId.set(id, { ...byId.get(id), ...hydrate(op.data), pending: true }); });
+        if (op.type === 'delete') byId.delete(op.noteId);
+        if (op.type === 'deleteMany') op.noteIds.forEach(id => byId.delete(id));
+    });
+    return [...byId.values()];
+};
@@ -0,0 +1,162 @@
+// --- Search Engine ---
+// Query syntax:  words  "exact phrase"  -excluded  -"excluded phrase"  tag:name  -tag:name
+//                before:2024-03-01  after:2024-03  on:2024  (day, month or year; before/after are exclusive)
+// Matching ignores case and accents ("ete" finds "été"), and a word matches anywhere inside a word.
+const LIGATURES = { 'œ': 'oe', 'æ': 'ae', 'ß': 'ss' };
+
+const foldChar = ch => {
+    const lower = ch.toLowerCase();
+    return LIGATURES[lower] || lower.normalize('NFD').replace(/\p{M}/gu, '');
+};
+
+export const foldText = text => Array.from(text, foldChar).join('');
+
+// Folds text while remembering where each folded character came from, so matches can be highlighted in the original.
+const foldWithMap = (text) => {
+    let folded = '';
+    const map = [];
+    let offset = 0;
+    for (const ch of text) {
+        const f = foldChar(ch);
+        for (let k = 0; k < f.length; k++) map.push([offset, offset + ch.length]);
+        folded += f;
+        offset += ch.length;
+    }
+    return { folded, map };
+};
+
+const tokenize = folded => folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// --- Query Parsing ---
+const parseDateBound = (value) => {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+    if (!match) return null;
+    const y = +match[1], m = match[2] ? +match[2] - 1 : null, d = match[3] ? +match[3] : null;
+    if (m === null) return { start: new Date(y, 0, 1).getTime(), end: new Date(y + 1, 0, 1).getTime() };
+    if (d === null) return { start: new Date(y, m, 1).getTime(), end: new Date(y, m + 1, 1).getTime() };
+    return { start: new Date(y, m, d).getTime(), end: new Date(y, m, d + 1).getTime() };
+};
+
+export const parseQuery = (input) => {
+    const query = { terms: [], phrases: [], excludeTerms: [], excludePhrases: [], tags: [], excludeTags: [], before: null, after: null, on: null };
+    const tokenRegex = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+    while ((match = tokenRegex.exec(input)) !== null) {
+        const [raw, minus, operator, quoted, word] = match;
+        const value = quoted ?? word ?? '';
+        const op = operator?.toLowerCase();
+        if (op === 'tag' && value) { (minus ? query.excludeTags : query.tags).push(foldText(value.replace(/^#/, ''))); continue; }
+        if ((op === 'before' || op === 'after' || op === 'on') && !minus) {
+            const bound = parseDateBound(value);
+            if (bound) { query[op] = bound; continue; }
+        }
+        const text = foldText(operator ? raw.replace(/^-/, '') : value).trim();
+        if (!text) continue;
+        const isPhrase = quoted !== undefined && !operator;
+        if (minus && raw !== '-') (isPhrase ? query.excludePhrases : query.excludeTerms).push(text);
+        else (isPhrase ? query.phrases : query.terms).push(text);
+    }
+    return query;
+};
+
+export const isEmptyQuery = q => !q.terms.length && !q.phrases.length && !q.excludeTerms.length && !q.excludePhrases.length
+    && !q.tags.length && !q.excludeTags.length && !q.before && !q.after && !q.on;
+
+// --- Index ---
+// Keeps folded text per note and an inverted index from words to note ids. Each query term is looked up
+// against the vocabulary (far smaller than the diary itself) rather than scanned through every note.
+export const createSearchIndex = () => {
+    const entries = new Map();   // id -> { text, folded, words }
+    const postings = new Map();  // word -> Set(id)
+
+    const unindex = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entry.words.forEach(word => {
+            const ids = postings.get(word);
+            ids.delete(id);
+            if (ids.size === 0) postings.delete(word);
+        });
+        entries.delete(id);
+    };
+
+    // Cheap when nothing changed: only notes whose text differs are re-folded.
+    const sync = (notes) => {
+        const seen = new Set();
+        notes.forEach(note => {
+            seen.add(note.id);
+            if (entries.get(note.id)?.text === note.text) return;
+            unindex(note.id);
+            const folded = foldText(note.text);
+            const words = new Set(tokenize(folded));
+            entries.set(note.id, { text: note.text, folded, words });
+            words.forEach(word => { if (!postings.has(word)) postings.set(word, new Set()); postings.get(word).add(note.id); });
+        });
+        [...entries.keys()].forEach(id => { if (!seen.has(id)) unindex(id); });
+    };
+
+    const idsContaining = (term) => {
+        const ids = new Set();
+        const parts = tokenize(term);
+        // Terms with punctuation ("c'est") fall back to the folded text.
+        if (parts.length !== 1) { entries.forEach((entry, id) => { if (entry.folded.includes(term)) ids.add(id); }); return ids; }
+        postings.forEach((wordIds, word) => { if (word.includes(parts[0])) wordIds.forEach(id => ids.add(id)); });
+        return ids;
+    };
+
+    // Returns the notes matching the parsed query, in their original order.
+    const search = (notes, query) => {
+        const cache = new Map();
+        const lookup = term => { if (!cache.has(term)) cache.set(term, idsContaining(term)); return cache.get(term); };
+        return notes.filter(note => {
+            const entry = entries.get(note.id);
+            if (!entry) return false;
+            if (!query.terms.every(term => lookup(term).has(note.id))) return false;
+            if (!query.phrases.every(phrase => entry.folded.includes(phrase))) return false;
+            if (query.excludeTerms.some(term => lookup(term).has(note.id))) return false;
+            if (query.excludePhrases.some(phrase => entry.folded.includes(phrase))) return false;
+            const tags = (note.tags || []).map(foldText);
+            if (!query.tags.every(tag => tags.includes(tag))) return false;
+            if (query.excludeTags.some(tag => tags.includes(tag))) return false;
+            const ts = note.timestamp?.toMillis();
+            if ((query.before || query.after || query.on) && ts == null) return false;
+            if (query.before && ts >= query.before.start) return false;
+            if (query.after && ts < query.after.end) return false;
+            if (query.on && (ts < query.on.start || ts >= query.on.end)) return false;
+            return true;
+        });
+    };
+
+    return { sync, search };
+};
+
+// --- Highlighting ---
+// Splits text into [{ text, match }] segments marking every occurrence of the query's terms and phrases.
+export const highlightSegments = (text, query) => {
+    const needles = [...query.terms, ...query.phrases].filter(Boolean);
+    if (needles.length === 0) return [{ text, match: false }];
+    const { folded, map } = foldWithMap(text);
+    const ranges = [];
+    needles.forEach(needle => {
+        for (let i = folded.indexOf(needle); i !== -1; i = folded.indexOf(needle, i + needle.length)) {
+            ranges.push([map[i][0], map[i + needle.length - 1][1]]);
+        }
+    });
+    if (ranges.length === 0) return [{ text, match: false }];
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [ranges[0]];
+    ranges.slice(1).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    });
+    const segments = [];
+    let pos = 0;
+    merged.forEach(([start, end]) => {
+        if (start > pos) segments.push({ text: text.slice(pos, start), match: false });
+        segments.push({ text: text.slice(start, end), match: true });
+        pos = end;
+    });
+    if (pos < text.length) segments.push({ text: text.slice(pos), match: false });
+    return segments;
+};
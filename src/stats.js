@@ -0,0 +1,103 @@
+// --- Writing Statistics ---
+// Pure helpers behind the calendar, the yearly heatmap, streaks and the stats panel.
+// Days are keyed as local YYYY-MM-DD strings so they line up with what the user sees.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = n => String(n).padStart(2, '0');
+export const dayKey = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+// English (US) calendars start on Sunday; French, Spanish and German ones on Monday.
+export const weekStartsOn = langCode => langCode === 'en' ? 0 : 1;
+
+export const countByDay = (notes) => {
+    const counts = new Map();
+    notes.forEach(n => {
+        if (!n.timestamp) return;
+        const key = dayKey(n.timestamp.toDate());
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+};
+
+// The current streak is still alive if today has no entry yet but yesterday does.
+export const computeStreaks = (dayCounts, today = new Date()) => {
+    let current = 0;
+    let cursor = dayCounts.has(dayKey(today)) ? today : addDays(today, -1);
+    while (dayCounts.has(dayKey(cursor))) { current++; cursor = addDays(cursor, -1); }
+
+    let longest = 0, run = 0, previous = null;
+    [...dayCounts.keys()].sort().forEach(key => {
+        const [y, m, d] = key.split('-').map(Number);
+        const date = new Date(y, m - 1, d);
+        run = previous && dayKey(addDays(previous, 1)) === key ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = date;
+    });
+    return { current, longest };
+};
+
+// Weeks of the month as arrays of seven dates, with null outside the month.
+export const monthGrid = (year, month, weekStart = 0) => {
+    const first = new Date(year, month, 1);
+    const days = new Date(year, month + 1, 0).getDate();
+    const cells = Array((first.getDay() - weekStart + 7) % 7).fill(null);
+    for (let d = 1; d <= days; d++) cells.push(new Date(year, month, d));
+    while (cells.length % 7) cells.push(null);
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    return weeks;
+};
+
+// Columns of seven days covering the whole year, GitHub style; days outside the year are null.
+export const yearWeeks = (year, weekStart = 0) => {
+    const first = new Date(year, 0, 1);
+    let cursor = addDays(first, -((first.getDay() - weekStart + 7) % 7));
+    const weeks = [];
+    while (cursor.getFullYear() <= year) {
+        const week = [];
+        for (let i = 0; i < 7; i++) { week.push(cursor.getFullYear() === year ? cursor : null); cursor = addDays(cursor, 1); }
+        weeks.push(week);
+    }
+    return weeks;
+};
+
+// 0 for no entries, then 1-4 relative to the busiest day.
+export const heatLevel = (count, max) => count ? Math.max(1, Math.ceil((count / Math.max(max, 1)) * 4)) : 0;
+
+const wordCount = text => (text || '').split(/\s+/).filter(Boolean).length;
+
+// Notes from before the `source` field was added were all dictated.
+export const computeStats = (notes, today = new Date(), recentWeeks = 12) => {
+    const dated = notes.filter(n => n.timestamp);
+    const byHour = Array(24).fill(0);
+    let words = 0, voice = 0;
+    dated.forEach(n => {
+        byHour[n.timestamp.toDate().getHours()]++;
+        words += wordCount(n.text);
+        if ((n.source || 'voice') === 'voice') voice++;
+    });
+    const times = dated.map(n => n.timestamp.toMillis());
+    const first = times.reduce((a, b) => Math.min(a, b), Infinity), last = times.reduce((a, b) => Math.max(a, b), -Infinity);
+    const spanWeeks = dated.length ? Math.max(1, (last - first) / (7 * DAY_MS)) : 1;
+
+    // Entries in each of the last `recentWeeks` seven-day periods, oldest first; the last one ends today.
+    const end = addDays(today, 1).getTime();
+    const weekly = Array(recentWeeks).fill(0);
+    times.forEach(time => {
+        const bucket = Math.floor((end - time) / (7 * DAY_MS));
+        if (time < end && bucket < recentWeeks) weekly[recentWeeks - 1 - bucket]++;
+    });
+
+    const busiestHour = dated.length ? byHour.indexOf(Math.max(...byHour)) : null;
+    return {
+        total: dated.length,
+        perWeek: dated.length / spanWeeks,
+        wordsPerEntry: dated.length ? words / dated.length : 0,
+        byHour,
+        busiestHour,
+        weekly,
+        voice,
+        typed: dated.length - voice
+    };
+};
@@ -0,0 +1,74 @@
+import { isEncrypted, encryptValue, decryptValue, encryptBlob, decryptBlob } from '../crypto.js';
+
+// --- Encrypting Storage Wrapper ---
+// Wraps any backend so the private fields of a note are encrypted field by field before they are
+// written and decrypted after they are read. Working per field keeps partial updates (a new tag,
+// a restored revision) possible without rewriting the whole note. Everything else (timestamps,
+// mood, trash state) stays readable so the backend can still sort and filter.
+export const SECRET_FIELDS = ['text', 'revisions', 'tags', 'location'];
+const ENCRYPTED_AUDIO_SUFFIX = '.enc';
+
+export const withEncryption = (storage, key) => {
+    const encryptData = async (data) => {
+        const result = { ...data };
+        await Promise.all(SECRET_FIELDS.map(async (field) => {
+            if (data[field] != null) result[field] = await encryptValue(key, data[field]);
+        }));
+        return result;
+    };
+
+    // Decrypted notes are cached by ciphertext, so a snapshot only pays for what actually changed.
+    const cache = new Map();
+    const decryptField = async (id, field, envelope) => {
+        const cacheKey = `${id}:${field}`;
+        const cached = cache.get(cacheKey);
+        if (cached && cached.ct === envelope.ct) return cached.value;
+        const value = await decryptValue(key, envelope);
+        cache.set(cacheKey, { ct: envelope.ct, value });
+        return value;
+    };
+    // `needsEncryption` marks notes still stored in plain text, so the app can migrate them.
+    const decryptNote = async (note) => {
+        const result = { ...note, needsEncryption: false };
+        try {
+            await Promise.all(SECRET_FIELDS.map(async (field) => {
+                if (isEncrypted(note[field])) result[field] = await decryptField(note.id, field, note[field]);
+                else if (note[field] != null) result.needsEncryption = true;
+            }));
+        } catch (error) {
+            console.error("Could not decrypt note:", note.id, error);
+            return { ...note, text: '', tags: [], revisions: [], location: null, decryptError: true };
+        }
+        return result;
+    };
+
+    const encryptedPath = path => path.endsWith(ENCRYPTED_AUDIO_SUFFIX);
+    const readAudio = async (path) => {
+        const blob = await storage.getAudioBlob(path);
+        return encryptedPath(path) ? decryptBlob(key, blob) : blob;
+    };
+
+    return {
+        ...storage,
+        encrypted: true,
+        subscribe: (onNotes, onError, range) => {
+            let latest = 0;
+            return storage.subscribe((notes) => {
+                const run = ++latest;
+                Promise.all(notes.map(decryptNote))
+                    .then(decrypted => { if (run === latest) onNotes(decrypted); })
+                    .catch(onError);
+            }, onError, range);
+        },
+        fetchAll: async () => Promise.all((await storage.fetchAll()).map(decryptNote)),
+        add: async (id, data) => storage.add(id, await encryptData(data)),
+        update: async (id, data) => storage.update(id, await encryptData(data)),
+        addMany: async (items) => storage.addMany(await Promise.all(items.map(async ({ id, data }) => ({ id, data: await encryptData(data) })))),
+        updateEach: async (items) => storage.updateEach(await Promise.all(items.map(async ({ id, data }) => ({ id, data: await encryptData(data) })))),
+        updateMany: async (ids, data) => storage.updateMany(ids, await encryptData(data)),
+        // Clips recorded while encryption is on get an ".enc" suffix; older clips are played as they are.
+        uploadAudio: async (noteId, blob) => storage.uploadAudio(`${noteId}${ENCRYPTED_AUDIO_SUFFIX}`, await encryptBlob(key, blob)),
+        getAudioBlob: readAudio,
+        getAudioUrl: async (path) => encryptedPath(path) ? URL.createObjectURL(await readAudio(path)) : storage.getAudioUrl(path)
+    };
+};
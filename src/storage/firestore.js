@@ -0,0 +1,108 @@
+import { 
+    collection, 
+    query, 
+    onSnapshot, 
+    doc, 
+    setDoc,
+    deleteDoc, 
+    updateDoc, 
+    writeBatch,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    getDocs,
+    getCountFromServer,
+    Timestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, getBlob, deleteObject } from 'firebase/storage';
+import { db, bucket } from '../firebase.js';
+
+// Firestore rejects batches over 500 writes, so bulk operations are split.
+// A batch also fails as a whole when one of its notes is gone (deleted on another device); given
+// `writeOne`, that chunk is retried note by note so only the missing notes are skipped, as locally.
+const BATCH_LIMIT = 450;
+const PAGE_SIZE = 500;
+const ignoreMissing = error => { if (error.code !== 'not-found') throw error; };
+const commitInChunks = async (items, write, writeOne) => {
+    for (let i = 0; i < items.length; i += BATCH_LIMIT) {
+        const chunk = items.slice(i, i + BATCH_LIMIT);
+        const batch = writeBatch(db);
+        chunk.forEach(item => write(batch, item));
+        try {
+            await batch.commit();
+        } catch (error) {
+            if (error.code !== 'not-found' || !writeOne) throw error;
+            await Promise.all(chunk.map(item => writeOne(item).catch(ignoreMissing)));
+        }
+    }
+};
+
+// --- Firestore Storage Backend ---
+// Notes live under users/{uid}/notes and sync across every device signed in to the account.
+// Audio clips go to Cloud Storage under users/{uid}/audio/{noteId}; account settings under users/{uid}/meta/{name}.
+export const createFirestoreStorage = (uid) => {
+    const notesRef = collection(db, `users/${uid}/notes`);
+    const noteRef = id => doc(db, `users/${uid}/notes/${id}`);
+    const metaRef = name => doc(db, `users/${uid}/meta/${name}`);
+    const toFirestore = data => data.timestamp === undefined ? data : { ...data, timestamp: Timestamp.fromMillis(data.timestamp) };
+    // Trashed notes are queried on their own: Firestore can't combine `!=` with a range on another field.
+    const rangeQuery = ({ since, until, trashed } = {}) => {
+        if (trashed) return query(notesRef, where('deletedAt', '!=', null));
+        const constraints = [];
+        if (since != null) constraints.push(where('timestamp', '>=', Timestamp.fromMillis(since)));
+        if (until != null) constraints.push(where('timestamp', '<', Timestamp.fromMillis(until)));
+        return query(notesRef, ...constraints);
+    };
+
+    return {
+        kind: 'firestore',
+        requiresNetwork: true,
+        newId: () => doc(notesRef).id,
+        subscribe: (onNotes, onError, range) => onSnapshot(rangeQuery(range), (snap) => {
+            onNotes(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, onError),
+        // A one-off read of every note, a page at a time, for features that work across the whole diary.
+        fetchAll: async () => {
+            const notes = [];
+            let last = null;
+            do {
+                const snap = await getDocs(query(notesRef, orderBy('timestamp'), ...(last ? [startAfter(last)] : []), limit(PAGE_SIZE)));
+                notes.push(...snap.docs.map(d => ({ id: d.id, ...d.data() })));
+                last = snap.docs.length === PAGE_SIZE ? snap.docs[snap.docs.length - 1] : null;
+            } while (last);
+            return notes;
+        },
+        // Aggregate queries are billed per thousand matching notes, not per note.
+        countNotes: async (range) => (await getCountFromServer(rangeQuery(range))).data().count,
+        oldestTimestamp: async () => {
+            const snap = await getDocs(query(notesRef, orderBy('timestamp'), limit(1)));
+            return snap.empty ? null : snap.docs[0].data().timestamp.toMillis();
+        },
+        add: (id, data) => setDoc(noteRef(id), toFirestore(data)),
+        update: (id, data) => updateDoc(noteRef(id), toFirestore(data)),
+        remove: (id) => deleteDoc(noteRef(id)),
+        addMany: (items) => commitInChunks(items, (batch, { id, data }) => batch.set(noteRef(id), toFirestore(data))),
+        updateEach: (items) => commitInChunks(items, (batch, { id, data }) => batch.update(noteRef(id), toFirestore(data)),
+            ({ id, data }) => updateDoc(noteRef(id), toFirestore(data))),
+        updateMany: (ids, data) => commitInChunks(ids, (batch, id) => batch.update(noteRef(id), toFirestore(data)),
+            id => updateDoc(noteRef(id), toFirestore(data))),
+        removeMany: (ids) => commitInChunks(ids, (batch, id) => batch.delete(noteRef(id))),
+        uploadAudio: async (noteId, blob) => {
+            const path = `users/${uid}/audio/${noteId}`;
+            await uploadBytes(ref(bucket, path), blob, { contentType: blob.type });
+            return path;
+        },
+        getAudioUrl: (path) => getDownloadURL(ref(bucket, path)),
+        getAudioBlob: (path) => getBlob(ref(bucket, path)),
+        removeAudio: (path) => deleteObject(ref(bucket, path)).catch(error => {
+            if (error.code !== 'storage/object-not-found') throw error;
+        }),
+        // `fromCache` tells a document that really doesn't exist from one the server hasn't confirmed yet;
+        // metadata changes are included so the server's answer arrives even when the data is unchanged.
+        subscribeMeta: (name, onData, onError) => onSnapshot(metaRef(name), { includeMetadataChanges: true }, (snap) => {
+            onData(snap.exists() ? snap.data() : null, { fromCache: snap.metadata.fromCache });
+        }, onError),
+        setMeta: (name, data) => setDoc(metaRef(name), data)
+    };
+};
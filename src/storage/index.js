@@ -0,0 +1,26 @@
+import { configError } from '../firebase.js';
+import { createFirestoreStorage } from './firestore.js';
+import { createLocalStorage } from './local.js';
+
+// --- Storage Backends ---
+// Every backend exposes the same note operations:
+//   newId() -> string
+//   subscribe(onNotes, onError, range) -> unsubscribe; notes carry `timestamp` as a Firestore Timestamp.
+//   `range` is { since, until } in millis (until exclusive), { trashed: true } or omitted for every note
+//   countNotes(range) -> number, oldestTimestamp() -> millis or null; cheap summaries for the Past Entries tree
+//   add(id, data), update(id, data), remove(id), removeMany(ids); `data.timestamp` is in millis
+//   addMany([{ id, data }]), updateEach([{ id, data }]), updateMany(ids, data) take any number of notes
+//   and split them into batches
+//   uploadAudio(noteId, blob) -> path, getAudioUrl(path), getAudioBlob(path), removeAudio(path)
+//   subscribeMeta(name, onData, onError) -> unsubscribe, setMeta(name, data) for per-account settings
+// plus `requiresNetwork`, which tells the outbox whether to wait for a connection before replaying.
+const STORAGE_MODE_KEY = 'life-diary-storage-mode';
+
+// VITE_STORAGE_BACKEND=local runs the whole app without Firebase; so does a missing Firebase config.
+export const localOnly = import.meta.env.VITE_STORAGE_BACKEND === 'local' || !!configError;
+export const LOCAL_USER = { uid: 'local', isLocal: true };
+
+export const getStorageMode = () => localOnly ? 'local' : (localStorage.getItem(STORAGE_MODE_KEY) || 'firestore');
+export const setStorageMode = (mode) => localStorage.setItem(STORAGE_MODE_KEY, mode);
+
+export const createStorage = (user) => user.isLocal ? createLocalStorage() : createFirestoreStorage(user.uid);
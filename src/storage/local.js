@@ -0,0 +1,125 @@
+import { Timestamp } from 'firebase/firestore';
+import { openDatabase, promisifyRequest, transactionDone } from '../idb.js';
+
+// --- Local (IndexedDB) Storage Backend ---
+// Keeps every note on this device only. No account or network is needed.
+const STORE = 'notes';
+const AUDIO_STORE = 'audio';
+const META_STORE = 'meta';
+const openLocalDb = () => openDatabase('my-life-diary-local', 4, (db, oldVersion, tx) => {
+    if (oldVersion < 1) db.createObjectStore(STORE, { keyPath: 'id' });
+    if (oldVersion < 2) db.createObjectStore(AUDIO_STORE);
+    if (oldVersion < 3) db.createObjectStore(META_STORE);
+    if (oldVersion < 4) tx.objectStore(STORE).createIndex('timestamp', 'timestamp');
+});
+
+// Other tabs are told about writes so their lists stay current.
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('my-life-diary-local') : null;
+const listeners = new Set();
+const notify = () => listeners.forEach(listener => listener());
+if (channel) channel.onmessage = notify;
+
+// Timestamps are stored as millis and handed out as Firestore Timestamps, so both backends look the same to the app.
+const fromRecord = record => ({ ...record, timestamp: record.timestamp == null ? null : Timestamp.fromMillis(record.timestamp) });
+
+// Ranges are { since, until } in millis (until is exclusive) or { trashed: true }, as in the Firestore backend.
+const keyRange = ({ since, until } = {}) => {
+    if (since != null && until != null) return IDBKeyRange.bound(since, until, false, true);
+    if (since != null) return IDBKeyRange.lowerBound(since);
+    if (until != null) return IDBKeyRange.upperBound(until, true);
+    return undefined;
+};
+const readRange = async (range = {}) => {
+    const db = await openLocalDb();
+    const store = db.transaction(STORE).objectStore(STORE);
+    if (range.trashed) return (await promisifyRequest(store.getAll())).filter(record => record.deletedAt != null);
+    return promisifyRequest(range.since == null && range.until == null ? store.getAll() : store.index('timestamp').getAll(keyRange(range)));
+};
+
+const write = async (fn, storeName = STORE) => {
+    const db = await openLocalDb();
+    const tx = db.transaction(storeName, 'readwrite');
+    await fn(tx.objectStore(storeName));
+    await transactionDone(tx);
+    notify();
+    if (channel) channel.postMessage('changed');
+};
+
+const readAudio = async (path) => {
+    const db = await openLocalDb();
+    const blob = await promisifyRequest(db.transaction(AUDIO_STORE).objectStore(AUDIO_STORE).get(path));
+    if (!blob) throw Object.assign(new Error(`No local audio ${path}`), { code: 'not-found' });
+    return blob;
+};
+
+const writeAudio = async (fn) => {
+    const db = await openLocalDb();
+    const tx = db.transaction(AUDIO_STORE, 'readwrite');
+    fn(tx.objectStore(AUDIO_STORE));
+    await transactionDone(tx);
+};
+
+export const createLocalStorage = () => ({
+    kind: 'local',
+    requiresNetwork: false,
+    newId: () => crypto.randomUUID(),
+    subscribe: (onNotes, onError, range) => {
+        const load = () => readRange(range)
+            .then(records => onNotes(records.map(fromRecord)))
+            .catch(onError);
+        listeners.add(load);
+        load();
+        return () => listeners.delete(load);
+    },
+    fetchAll: async () => (await readRange()).map(fromRecord),
+    countNotes: async (range = {}) => {
+        if (range.trashed) return (await readRange(range)).length;
+        const db = await openLocalDb();
+        return promisifyRequest(db.transaction(STORE).objectStore(STORE).index('timestamp').count(keyRange(range)));
+    },
+    oldestTimestamp: async () => {
+        const db = await openLocalDb();
+        const cursor = await promisifyRequest(db.transaction(STORE).objectStore(STORE).index('timestamp').openCursor());
+        return cursor ? cursor.value.timestamp : null;
+    },
+    add: (id, data) => write(store => { store.put({ ...data, id }); }),
+    update: (id, data) => write(async (store) => {
+        const existing = await promisifyRequest(store.get(id));
+        if (!existing) throw Object.assign(new Error(`No local note ${id}`), { code: 'not-found' });
+        store.put({ ...existing, ...data, id });
+    }),
+    remove: (id) => write(store => { store.delete(id); }),
+    addMany: (items) => write(store => { items.forEach(({ id, data }) => store.put({ ...data, id })); }),
+    updateEach: (items) => write(async (store) => {
+        for (const { id, data } of items) {
+            const existing = await promisifyRequest(store.get(id));
+            if (existing) store.put({ ...existing, ...data, id });
+        }
+    }),
+    updateMany: (ids, data) => write(async (store) => {
+        for (const id of ids) {
+            const existing = await promisifyRequest(store.get(id));
+            if (existing) store.put({ ...existing, ...data, id });
+        }
+    }),
+    removeMany: (ids) => write(store => { ids.forEach(id => store.delete(id)); }),
+    uploadAudio: async (noteId, blob) => {
+        const path = `audio/${noteId}`;
+        await writeAudio(store => store.put(blob, path));
+        return path;
+    },
+    // Object URLs from here must be released with URL.revokeObjectURL by the caller.
+    getAudioUrl: async (path) => URL.createObjectURL(await readAudio(path)),
+    getAudioBlob: readAudio,
+    removeAudio: (path) => writeAudio(store => store.delete(path)),
+    subscribeMeta: (name, onData, onError) => {
+        const load = () => openLocalDb()
+            .then(db => promisifyRequest(db.transaction(META_STORE).objectStore(META_STORE).get(name)))
+            .then(record => onData(record || null, { fromCache: false }))
+            .catch(onError);
+        listeners.add(load);
+        load();
+        return () => listeners.delete(load);
+    },
+    setMeta: (name, data) => write(store => { store.put(data, name); }, META_STORE)
+});
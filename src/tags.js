@@ -0,0 +1,36 @@
+// --- Tags & Moods ---
+// Tags are stored lowercased without the "#". Hashtags in the text are folded in on every save, and
+// tags added by hand are kept even when they don't appear in the text.
+const TAG_CHARS = '[\\p{L}\\p{N}_-]';
+// A "#" only starts a tag at the start of the text or after a space/punctuation, never inside a URL.
+const HASHTAG = new RegExp(`(^|[^\\p{L}\\p{N}_&#/])#(${TAG_CHARS}+)`, 'gu');
+
+export const normalizeTag = tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+
+export const extractHashtags = text => [...text.matchAll(HASHTAG)]
+    .map(match => normalizeTag(match[2]))
+    .filter(tag => /\p{L}/u.test(tag));
+
+export const mergeTags = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+export const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const renameTagInText = (text, from, to) =>
+    text.replace(new RegExp(`(^|[^\\p{L}\\p{N}_&#/])#${escapeRegExp(from)}(?!${TAG_CHARS})`, 'giu'), `$1#${to}`);
+
+// Returns [{ tag, count }], most used first.
+export const countTags = notes => {
+    const counts = new Map();
+    notes.forEach(note => (note.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts.entries()].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+export const MOODS = [
+    { value: 1, emoji: '😞' },
+    { value: 2, emoji: '😕' },
+    { value: 3, emoji: '😐' },
+    { value: 4, emoji: '🙂' },
+    { value: 5, emoji: '😄' }
+];
+
+export const moodEmoji = value => MOODS.find(mood => mood.value === value)?.emoji;
@@ -0,0 +1,119 @@
+// --- Themes & Colour Utilities ---
+// A palette has five roles: background, surface (cards, inputs), text, accent (buttons, highlights)
+// and accentText (text on accent). Whatever the user picks, the palette that gets applied is first
+// run through `fixPalette`, which nudges failing colours until they meet WCAG 2.x contrast minimums.
+export const PALETTE_ROLES = ['background', 'surface', 'text', 'accent', 'accentText'];
+
+const clampByte = v => Math.max(0, Math.min(255, Math.round(v)));
+
+export const normalizeHex = (color) => {
+    let hex = (color || '').trim().replace(/^#/, '');
+    if (hex.length === 3) hex = [...hex].map(c => c + c).join('');
+    return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toLowerCase()}` : null;
+};
+
+const hexToRgb = color => {
+    const hex = (normalizeHex(color) || '#000000').slice(1);
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+};
+const rgbToHex = rgb => `#${rgb.map(v => clampByte(v).toString(16).padStart(2, '0')).join('')}`;
+
+// Scales each channel by (100 + percent)%, clamped to 0-255 in both directions.
+export const shadeColor = (color, percent) => rgbToHex(hexToRgb(color).map(v => v * (100 + percent) / 100));
+
+export const mixColors = (from, to, amount) => {
+    const target = hexToRgb(to);
+    return rgbToHex(hexToRgb(from).map((v, i) => v + (target[i] - v) * amount));
+};
+
+// WCAG 2.x relative luminance and contrast ratio (1 to 21).
+const linearChannel = v => { const c = v / 255; return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4; };
+const luminance = color => { const [r, g, b] = hexToRgb(color).map(linearChannel); return 0.2126 * r + 0.7152 * g + 0.0722 * b; };
+export const contrastRatio = (a, b) => {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+// Black or white, whichever reads better on `background`.
+export const getTextColor = background => contrastRatio(background, '#ffffff') >= contrastRatio(background, '#000000') ? '#ffffff' : '#000000';
+
+// Moves `color` toward black or white (whichever suits `against`) just far enough to reach `min`.
+export const ensureContrast = (color, against, min) => {
+    if (contrastRatio(color, against) >= min) return color;
+    const target = getTextColor(against);
+    for (let step = 1; step <= 20; step++) {
+        const candidate = mixColors(color, target, step / 20);
+        if (contrastRatio(candidate, against) >= min) return candidate;
+    }
+    return target;
+};
+
+// 4.5:1 for body text; 3:1 for the accent against the page, the WCAG minimum for UI components.
+// `adjust` is the role that gets corrected, in this order, when a pair fails.
+export const CONTRAST_RULES = [
+    { id: 'textOnBackground', fg: 'text', bg: 'background', min: 4.5, adjust: 'text' },
+    { id: 'textOnSurface', fg: 'text', bg: 'surface', min: 4.5, adjust: 'surface' },
+    { id: 'accentOnBackground', fg: 'accent', bg: 'background', min: 3, adjust: 'accent' },
+    { id: 'accentTextOnAccent', fg: 'accentText', bg: 'accent', min: 4.5, adjust: 'accentText' }
+];
+
+export const checkPalette = palette => CONTRAST_RULES.map(rule => {
+    const ratio = contrastRatio(palette[rule.fg], palette[rule.bg]);
+    return { ...rule, ratio, pass: ratio >= rule.min };
+});
+
+// The page background is never changed. Cards give way to the text rather than the other way round,
+// since text that suits the page can't always be pushed far enough from a mid-tone card as well.
+export const fixPalette = (palette) => {
+    const fixed = { ...palette };
+    CONTRAST_RULES.forEach(({ fg, bg, min, adjust }) => {
+        fixed[adjust] = ensureContrast(fixed[adjust], fixed[adjust === fg ? bg : fg], min);
+    });
+    return fixed;
+};
+
+// The palette older versions derived from their single theme colour.
+export const derivePalette = (base) => {
+    const background = normalizeHex(base) || '#2d3748';
+    const text = getTextColor(background), dark = text === '#ffffff';
+    const accent = shadeColor(background, dark ? 40 : -20);
+    return { background, surface: shadeColor(background, dark ? 20 : -10), text, accent, accentText: getTextColor(accent) };
+};
+
+const SLATE = '#2d3748';
+
+// `system` follows prefers-color-scheme between `light` and `dark`.
+export const THEME_PRESETS = {
+    light: { background: '#f8fafc', surface: '#e2e8f0', text: '#1a202c', accent: '#2f5cc4', accentText: '#ffffff' },
+    dark: { background: '#121417', surface: '#23272e', text: '#e8eaed', accent: '#8ab4f8', accentText: '#0b1a33' },
+    slate: { background: SLATE, surface: '#364256', text: '#ffffff', accent: '#8fa3c7', accentText: '#1a202c' },
+    ocean: { background: '#0f3b57', surface: '#175175', text: '#f0f8ff', accent: '#4fc3d9', accentText: '#06222e' },
+    forest: { background: '#1f3a2b', surface: '#2c4f3b', text: '#eef5ee', accent: '#8fce8a', accentText: '#10261a' },
+    rose: { background: '#fdf2f4', surface: '#f7dde3', text: '#3b1d26', accent: '#b83a5e', accentText: '#ffffff' },
+    sepia: { background: '#f4ecd8', surface: '#e8dcc0', text: '#3e2f1c', accent: '#8b5a2b', accentText: '#ffffff' }
+};
+export const THEME_IDS = ['system', ...Object.keys(THEME_PRESETS)];
+
+export const DEFAULT_THEME = { preset: 'system', custom: null };
+
+// Older versions stored only a colour; the untouched default maps to the Slate preset it came from.
+export const themeFromColor = (color) => {
+    if (!color) return DEFAULT_THEME;
+    if (normalizeHex(color) === SLATE) return { preset: 'slate', custom: null };
+    return { preset: 'custom', custom: derivePalette(color) };
+};
+
+// Accepts a stored or synced theme only if it names a known preset or carries a full custom palette.
+export const normalizeTheme = (value) => {
+    if (value?.preset === 'custom') {
+        const custom = Object.fromEntries(PALETTE_ROLES.map(role => [role, normalizeHex(value.custom?.[role])]));
+        return PALETTE_ROLES.every(role => custom[role]) ? { preset: 'custom', custom } : DEFAULT_THEME;
+    }
+    return THEME_IDS.includes(value?.preset) ? { preset: value.preset, custom: null } : DEFAULT_THEME;
+};
+
+export const resolvePalette = (theme, prefersDark) => {
+    if (theme?.preset === 'custom' && theme.custom) return fixPalette(theme.custom);
+    const preset = theme?.preset === 'system' ? (prefersDark ? 'dark' : 'light') : theme?.preset;
+    return fixPalette(THEME_PRESETS[preset] || THEME_PRESETS.slate);
+};
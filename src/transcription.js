@@ -0,0 +1,17 @@
+// --- Clip Transcription ---
+// The Web Speech API only listens to the live microphone, so re-transcribing a saved clip needs a server.
+// Set VITE_TRANSCRIBE_URL to an endpoint that accepts multipart `file` + `language` and replies { text }
+// (a self-hosted Whisper server works); without it the re-transcribe action stays hidden.
+const endpoint = import.meta.env.VITE_TRANSCRIBE_URL;
+
+export const transcriptionAvailable = !!endpoint;
+
+export const transcribeClip = async (blob, language) => {
+    const body = new FormData();
+    body.append('file', blob, `clip.${blob.type.includes('mp4') ? 'm4a' : 'webm'}`);
+    body.append('language', language);
+    const res = await fetch(endpoint, { method: 'POST', body });
+    if (!res.ok) throw new Error(`Transcription failed (${res.status})`);
+    const { text } = await res.json();
+    return (text || '').trim();
+};
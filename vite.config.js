@@ -1,7 +1,25 @@
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits precache-manifest.js listing every hashed bundle file. The service worker pulls it in
+// with importScripts, so each new build also changes the worker and triggers an update.
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const files = Object.keys(bundle).filter((file) => !file.endsWith('.map')).map((file) => `/${file}`)
+    const revision = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.js',
+      source: `self.__PRECACHE_MANIFEST = ${JSON.stringify({ revision, files })};\n`,
+    })
+  },
+})
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })